@@ -16,6 +16,9 @@
  * along with this program. If not, see <https://www.gnu.org/licenses/>.
  */
 
+// Shared rule-pack validation for subscriptions, AI provider settings for the OpenAI-compatible proxy
+importScripts('spam-patterns.js', 'ai-service.js');
+
 /**
  * Handle programmatic script injection for report iframe automation
  * This is needed because dynamically created iframes don't get manifest-based content scripts
@@ -340,11 +343,7 @@ async function processLinkResolutionQueue() {
             // Get current username
             const usernameResult = await chrome.scripting.executeScript({
                 target: { tabId: workerTabId },
-                func: function () {
-                    const profileLink = document.querySelector('[data-testid="AppTabBar_Profile_Link"]');
-                    const href = profileLink?.getAttribute('href');
-                    return href ? href.substring(1).split('/')[0] : null;
-                }
+                func: getSignedInUsername
             });
             const currentUsername = usernameResult?.[0]?.result;
 
@@ -577,6 +576,16 @@ async function resolveUserLink(tabId, username) {
     });
 }
 
+/**
+ * This function is injected into x.com/home
+ * Reads the signed-in user's handle from the sidebar profile link
+ */
+function getSignedInUsername() {
+    const profileLink = document.querySelector('[data-testid="AppTabBar_Profile_Link"]');
+    const href = profileLink?.getAttribute('href');
+    return href ? href.substring(1).split('/')[0] : null;
+}
+
 /**
  * Wait for a tab to finish loading
  */
@@ -775,3 +784,370 @@ function extractLinksFromProfile() {
         } // End of continueWithMessageButton
     }); // End of Promise
 }
+
+// =============================================================================
+// FOLLOWING LIST - Accounts you follow, protected by impersonation detection
+// =============================================================================
+
+const FOLLOWING_MAX_ACCOUNTS = 5000;
+
+/**
+ * Handle following-list imports from the options page
+ */
+chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
+    if (request.action === 'importFollowing') {
+        importFollowingList().then(sendResponse);
+        return true;
+    }
+});
+
+/**
+ * Read the accounts the signed-in user follows and store them for impersonation detection
+ * Scrolls x.com/<user>/following in a minimized worker window, like link resolution
+ * @returns {Promise<{success: boolean, count?: number, message?: string}>}
+ */
+async function importFollowingList() {
+    let windowId = null;
+
+    try {
+        const workerWindow = await chrome.windows.create({
+            url: 'about:blank',
+            type: 'popup',
+            width: 800,
+            height: 900,
+            focused: false
+        });
+        windowId = workerWindow.id;
+        const tabId = workerWindow.tabs[0].id;
+        await chrome.windows.update(windowId, { state: 'minimized', focused: false });
+
+        await chrome.tabs.update(tabId, { url: 'https://x.com/home' });
+        await waitForTabLoad(tabId);
+        await new Promise(r => setTimeout(r, 2000));
+
+        const usernameResult = await chrome.scripting.executeScript({
+            target: { tabId },
+            func: getSignedInUsername
+        });
+        const currentUsername = usernameResult?.[0]?.result;
+        if (!currentUsername) {
+            return { success: false, message: 'Could not find your account - are you signed in to x.com?' };
+        }
+
+        console.log(`XSpamSweeper Background: Importing accounts followed by @${currentUsername}`);
+        await chrome.tabs.update(tabId, { url: `https://x.com/${currentUsername}/following` });
+        await waitForTabLoad(tabId);
+        await new Promise(r => setTimeout(r, 2500));
+
+        const results = await chrome.scripting.executeScript({
+            target: { tabId },
+            func: extractFollowingAccounts,
+            args: [FOLLOWING_MAX_ACCOUNTS]
+        });
+        const accounts = results?.[0]?.result || [];
+        if (accounts.length === 0) {
+            return { success: false, message: 'No followed accounts found' };
+        }
+
+        await chrome.storage.local.set({
+            followedAccounts: { accounts, importedAt: new Date().toISOString() }
+        });
+        console.log(`XSpamSweeper Background: Imported ${accounts.length} followed accounts`);
+        return { success: true, count: accounts.length };
+    } catch (error) {
+        console.error('XSpamSweeper Background: Following import failed:', error);
+        return { success: false, message: error.message };
+    } finally {
+        if (windowId) {
+            chrome.windows.remove(windowId).catch(() => { });
+        }
+    }
+}
+
+/**
+ * This function is injected into x.com/<user>/following
+ * Scrolls the virtualized list and collects every account it renders
+ * @param {number} limit - Stop after this many accounts
+ * @returns {Promise<Array<{username: string, displayName: string}>>}
+ */
+async function extractFollowingAccounts(limit) {
+    const accounts = new Map();
+    let idleRounds = 0;
+
+    while (accounts.size < limit && idleRounds < 4) {
+        const before = accounts.size;
+
+        document.querySelectorAll('[data-testid="UserCell"]').forEach(cell => {
+            const links = [...cell.querySelectorAll('a[href^="/"]')];
+            const username = links[0]?.getAttribute('href').substring(1).split('/')[0];
+            if (!username || accounts.has(username.toLowerCase())) return;
+
+            // The first link with text that isn't the @handle holds the display name
+            const nameLink = links.find(link => {
+                const text = link.textContent.trim();
+                return text && !text.startsWith('@');
+            });
+            accounts.set(username.toLowerCase(), {
+                username,
+                displayName: nameLink?.textContent.trim() || ''
+            });
+        });
+
+        idleRounds = accounts.size === before ? idleRounds + 1 : 0;
+        window.scrollBy(0, window.innerHeight * 0.8);
+        await new Promise(r => setTimeout(r, 1200));
+    }
+
+    return [...accounts.values()].slice(0, limit);
+}
+
+// =============================================================================
+// RULE-PACK SUBSCRIPTIONS - Rule packs fetched from a URL on a schedule
+// =============================================================================
+
+const RULE_SUBSCRIPTION_ALARM = 'refreshRuleSubscriptions';
+const RULE_SUBSCRIPTION_REFRESH_MINUTES = 360;
+const RULE_SUBSCRIPTION_MAX_BYTES = 2 * 1024 * 1024;
+const RULE_SUBSCRIPTION_TIMEOUT_MS = 30000;
+
+/**
+ * Make sure the refresh alarm exists (alarms survive restarts, but not reinstalls)
+ */
+async function ensureRuleSubscriptionAlarm() {
+    const alarm = await chrome.alarms.get(RULE_SUBSCRIPTION_ALARM);
+    if (!alarm) {
+        chrome.alarms.create(RULE_SUBSCRIPTION_ALARM, {
+            delayInMinutes: 1,
+            periodInMinutes: RULE_SUBSCRIPTION_REFRESH_MINUTES
+        });
+    }
+}
+
+chrome.runtime.onInstalled.addListener(() => ensureRuleSubscriptionAlarm());
+chrome.runtime.onStartup.addListener(() => ensureRuleSubscriptionAlarm());
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === RULE_SUBSCRIPTION_ALARM) {
+        refreshRuleSubscriptions();
+    }
+});
+
+/**
+ * Handle manual refresh requests from the options page
+ */
+chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
+    if (request.action === 'refreshRuleSubscriptions') {
+        refreshRuleSubscriptions(request.url).then(results => {
+            sendResponse({ success: true, results });
+        }).catch(error => {
+            sendResponse({ success: false, message: error.message });
+        });
+        return true;
+    }
+});
+
+/**
+ * SHA-256 of a string as lowercase hex
+ */
+async function sha256Hex(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Download one subscription and validate it
+ * Never throws: on any failure the previous pack is kept and the error is recorded
+ * @param {Object} entry - Stored rule-pack entry with source 'url'
+ * @returns {Promise<Object>} Updated entry
+ */
+async function fetchRuleSubscription(entry) {
+    const checkedAt = new Date().toISOString();
+
+    try {
+        // Conditional request - only when we have a copy to fall back on
+        const headers = {};
+        if (entry.pack && entry.etag) headers['If-None-Match'] = entry.etag;
+        if (entry.pack && entry.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+
+        const response = await fetch(entry.url, {
+            headers,
+            cache: 'no-cache',
+            credentials: 'omit',
+            signal: AbortSignal.timeout(RULE_SUBSCRIPTION_TIMEOUT_MS)
+        });
+
+        if (response.status === 304) {
+            return { ...entry, lastChecked: checkedAt, lastStatus: 'not_modified', lastError: null };
+        }
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const body = await response.text();
+        if (body.length > RULE_SUBSCRIPTION_MAX_BYTES) {
+            throw new Error('Rule pack is larger than 2 MB');
+        }
+
+        // Integrity: optional pinned hash, then the same validation as file imports
+        if (entry.sha256 && await sha256Hex(body) !== entry.sha256) {
+            throw new Error('SHA-256 does not match the pinned hash');
+        }
+
+        let data;
+        try {
+            data = JSON.parse(body);
+        } catch {
+            throw new Error('Response is not valid JSON');
+        }
+
+        const { pack, error } = validateRulePack(data);
+        if (error) {
+            throw new Error(error);
+        }
+
+        // Guard against a URL that suddenly serves a different or older list
+        if (entry.pack && pack.name !== entry.pack.name) {
+            throw new Error(`Pack name changed from "${entry.pack.name}" to "${pack.name}"`);
+        }
+        if (entry.pack && compareRulePackVersions(pack.version, entry.pack.version) < 0) {
+            throw new Error(`Version ${pack.version} is older than ${entry.pack.version}`);
+        }
+
+        return {
+            ...entry,
+            pack,
+            etag: response.headers.get('ETag'),
+            lastModified: response.headers.get('Last-Modified'),
+            lastChecked: checkedAt,
+            lastUpdated: checkedAt,
+            lastStatus: 'updated',
+            lastError: null
+        };
+    } catch (error) {
+        const message = error.name === 'TimeoutError' ? 'Request timed out' : error.message;
+        console.warn(`XSpamSweeper Background: Rule subscription ${entry.url} failed:`, message);
+        return { ...entry, lastChecked: checkedAt, lastStatus: 'error', lastError: message };
+    }
+}
+
+/**
+ * Refresh subscribed rule packs
+ * @param {string} [url] - Only refresh this subscription
+ * @returns {Promise<Array<{url: string, status: string, error: string|null}>>}
+ */
+async function refreshRuleSubscriptions(url) {
+    const { rulePacks: stored = [] } = await chrome.storage.local.get(['rulePacks']);
+    const subscriptions = stored.filter(entry => entry.source === 'url' && (!url || entry.url === url));
+    if (subscriptions.length === 0) return [];
+
+    console.log(`XSpamSweeper Background: Refreshing ${subscriptions.length} rule subscription(s)`);
+    const updated = [];
+    for (const entry of subscriptions) {
+        updated.push(await fetchRuleSubscription(entry));
+    }
+
+    // Re-read so edits made in the options page while we were fetching are kept
+    const { rulePacks: latest = [] } = await chrome.storage.local.get(['rulePacks']);
+    const merged = latest.map(entry => {
+        const result = entry.source === 'url' && updated.find(update => update.url === entry.url);
+        return result ? { ...result, enabled: entry.enabled, sha256: entry.sha256 } : entry;
+    });
+    await chrome.storage.local.set({ rulePacks: merged });
+
+    return updated.map(entry => ({ url: entry.url, status: entry.lastStatus, error: entry.lastError }));
+}
+
+// =============================================================================
+// AI PROVIDER - Requests to an OpenAI-compatible server for ai-service.js
+// =============================================================================
+// Content scripts can't reach a local server from x.com (CORS, mixed content), and the
+// API key should not be handed to them, so the worker makes the requests
+
+const AI_REQUEST_TIMEOUT_MS = 60000;    // Local models on a CPU can take a while
+
+/**
+ * Call the configured OpenAI-compatible server
+ * @param {string} path - Endpoint below the base URL, e.g. '/models'
+ * @param {Object} [body] - JSON body for a POST; the configured model is added
+ * @returns {Promise<Object>} Parsed JSON response
+ */
+async function fetchOpenAICompatible(path, body) {
+    const { aiProvider } = await chrome.storage.sync.get(['aiProvider']);
+    const { settings, error } = validateAIProviderSettings(aiProvider);
+    if (error) {
+        throw new Error(error);
+    }
+    if (settings.provider !== 'openai-compatible') {
+        throw new Error('The OpenAI-compatible provider is not selected');
+    }
+
+    const { aiApiKey } = await chrome.storage.local.get(['aiApiKey']);
+    const headers = { 'Content-Type': 'application/json' };
+    if (aiApiKey) headers.Authorization = `Bearer ${aiApiKey}`;
+
+    const url = settings.url + path;
+    let response;
+    try {
+        response = await fetch(url, {
+            method: body ? 'POST' : 'GET',
+            headers,
+            body: body ? JSON.stringify({ model: settings.model, ...body }) : undefined,
+            cache: 'no-store',
+            credentials: 'omit',
+            signal: AbortSignal.timeout(AI_REQUEST_TIMEOUT_MS)
+        });
+    } catch (error) {
+        throw new Error(`Could not reach ${url}: ${error.message}`);
+    }
+
+    let data = null;
+    try {
+        data = await response.json();
+    } catch {
+        // Reported below
+    }
+    if (!response.ok) {
+        throw new Error(data?.error?.message || `HTTP ${response.status} from ${url}`);
+    }
+    if (!data) {
+        throw new Error(`Response from ${url} is not valid JSON`);
+    }
+    return data;
+}
+
+/**
+ * Handle OpenAI-compatible requests from ai-service.js
+ */
+chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
+    if (request.action === 'aiListModels') {
+        fetchOpenAICompatible('/models').then(data => {
+            sendResponse({ success: true, models: (data.data || []).map(model => model.id) });
+        }).catch(error => {
+            sendResponse({ success: false, message: error.message });
+        });
+        return true;
+    }
+
+    if (request.action === 'aiChatCompletion') {
+        fetchOpenAICompatible('/chat/completions', {
+            messages: request.messages,
+            temperature: 0,
+            stream: false,
+            ...(request.schema && {
+                response_format: {
+                    type: 'json_schema',
+                    json_schema: { name: 'spam_verdict', strict: true, schema: request.schema }
+                }
+            })
+        }).then(data => {
+            const content = data.choices?.[0]?.message?.content;
+            if (typeof content !== 'string') {
+                throw new Error('Response has no message content');
+            }
+            sendResponse({ success: true, content });
+        }).catch(error => {
+            sendResponse({ success: false, message: error.message });
+        });
+        return true;
+    }
+});
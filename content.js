@@ -115,7 +115,7 @@
                 }
 
                 console.log(`XSpamSweeper: Analyzing message from @${username}: "${messagePreview}"`);
-                const spamInfo = _getSpamInfo(messagePreview);
+                const spamInfo = _getSpamInfo(messagePreview, { username, displayName: displayName || username });
 
                 requests.push({
                     username,
@@ -517,7 +517,7 @@
                     const username = request.username;
                     console.log(`XSpamSweeper: Running AI analysis for @${username}: "${text.substring(0, 50)}..."`);
 
-                    const result = await getSpamInfoWithAI(text);
+                    const result = await getSpamInfoWithAI(text, { username, displayName: request.displayName });
                     console.log(`XSpamSweeper: AI analysis complete for @${username}:`, result);
 
                     sendResponse({
@@ -533,6 +533,45 @@
             return true;
         }
 
+        // Batched AI analysis - results go to the popup as aiBatchResult messages while batches finish
+        if (request.action === 'analyzeBatchWithAI') {
+            (async () => {
+                try {
+                    if (typeof getSpamInfoWithAIBatch !== 'function') {
+                        console.log('XSpamSweeper: getSpamInfoWithAIBatch not available');
+                        sendResponse({ success: false, error: 'AI not available' });
+                        return;
+                    }
+
+                    const items = request.requests.map(req => ({
+                        id: req.username,
+                        text: req.text,
+                        sender: { username: req.username, displayName: req.displayName }
+                    }));
+                    console.log(`XSpamSweeper: Running batched AI analysis for ${items.length} requests`);
+
+                    const results = await getSpamInfoWithAIBatch(items, batchResults => {
+                        chrome.runtime.sendMessage({
+                            action: 'aiBatchResult',
+                            results: batchResults.map(({ id, spamInfo }) => ({ username: id, spamInfo }))
+                        }).catch(() => {
+                            // Popup closed, ignore
+                        });
+                    });
+
+                    // The full results too: the last aiBatchResult message may still be on its way
+                    sendResponse({
+                        success: true,
+                        results: results.map(({ id, spamInfo }) => ({ username: id, spamInfo }))
+                    });
+                } catch (error) {
+                    console.error('XSpamSweeper: Batched AI analysis error:', error);
+                    sendResponse({ success: false, error: error.message });
+                }
+            })();
+            return true;
+        }
+
         if (request.action === 'scrollToLoadAll') {
             scrollToLoadAll().then(sendResponse);
             return true;
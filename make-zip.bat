@@ -14,8 +14,8 @@ if exist "%DIST_DIR%\%ZIP_NAME%" del /f /q "%DIST_DIR%\%ZIP_NAME%"
 if exist "%STAGING_DIR%" rmdir /s /q "%STAGING_DIR%"
 mkdir "%STAGING_DIR%" >nul 2>&1
 
-rem stage files excluding .git, dist, and entire assets dir; exclude non-runtime docs and this script
-robocopy . "%STAGING_DIR%" /E /XD ".git" "dist" "assets" /XF "%ZIP_NAME%" "%SCRIPT_NAME%" ".gitignore" "CHANGELOG.md" "README.md" /NFL /NDL /NJH /NJS >nul
+rem stage files excluding .git, dist, tests, and entire assets dir; exclude non-runtime docs and this script
+robocopy . "%STAGING_DIR%" /E /XD ".git" "dist" "assets" "tests" /XF "%ZIP_NAME%" "%SCRIPT_NAME%" ".gitignore" "CHANGELOG.md" "README.md" /NFL /NDL /NJH /NJS >nul
 
 rem add required assets into staging
 set "STAGING_ASSETS=%STAGING_DIR%\assets"
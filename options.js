@@ -26,35 +26,163 @@ const newKeywordWeightInput = document.getElementById('newKeywordWeight');
 const newKeywordWeightUp = document.getElementById('newKeywordWeightUp');
 const newKeywordWeightDown = document.getElementById('newKeywordWeightDown');
 const addKeywordBtn = document.getElementById('addKeywordBtn');
+const safeDomainsList = document.getElementById('safeDomainsList');
+const builtinSafeDomainsList = document.getElementById('builtinSafeDomainsList');
+const languageList = document.getElementById('languageList');
+const newSafeDomainInput = document.getElementById('newSafeDomain');
+const addSafeDomainBtn = document.getElementById('addSafeDomainBtn');
+const regexRulesList = document.getElementById('regexRulesList');
+const newRegexNameInput = document.getElementById('newRegexName');
+const newRegexPatternInput = document.getElementById('newRegexPattern');
+const newRegexWeightInput = document.getElementById('newRegexWeight');
+const newRegexWeightUp = document.getElementById('newRegexWeightUp');
+const newRegexWeightDown = document.getElementById('newRegexWeightDown');
+const addRegexRuleBtn = document.getElementById('addRegexRuleBtn');
+const regexRuleError = document.getElementById('regexRuleError');
+const regexTestInput = document.getElementById('regexTestInput');
+const regexTestResults = document.getElementById('regexTestResults');
+const rulePacksList = document.getElementById('rulePacksList');
+const rulePackFile = document.getElementById('rulePackFile');
+const importRulePackBtn = document.getElementById('importRulePackBtn');
+const rulePackError = document.getElementById('rulePackError');
+const newSubscriptionUrlInput = document.getElementById('newSubscriptionUrl');
+const newSubscriptionShaInput = document.getElementById('newSubscriptionSha');
+const addSubscriptionBtn = document.getElementById('addSubscriptionBtn');
 const resetBtn = document.getElementById('resetBtn');
 const saveStatus = document.getElementById('saveStatus');
 const autoLoadAllToggle = document.getElementById('autoLoadAllToggle');
 const aiScanningToggle = document.getElementById('aiScanningToggle');
 const aiStatusIndicator = document.getElementById('aiStatusIndicator');
+const aiProviderSelect = document.getElementById('aiProviderSelect');
+const aiEndpointSettings = document.getElementById('aiEndpointSettings');
+const aiEndpointUrlInput = document.getElementById('aiEndpointUrl');
+const aiModelInput = document.getElementById('aiModel');
+const aiApiKeyInput = document.getElementById('aiApiKey');
+const saveAIProviderBtn = document.getElementById('saveAIProviderBtn');
+const aiProviderError = document.getElementById('aiProviderError');
+const aiBuiltinInfo = document.getElementById('aiBuiltinInfo');
+const aiZoneRange = document.getElementById('aiZoneRange');
+const aiCacheStats = document.getElementById('aiCacheStats');
+const clearAICacheBtn = document.getElementById('clearAICacheBtn');
+const thresholdInputs = {
+    low: document.getElementById('thresholdLow'),
+    medium: document.getElementById('thresholdMedium'),
+    high: document.getElementById('thresholdHigh'),
+    maxScore: document.getElementById('thresholdMaxScore'),
+    aiMin: document.getElementById('thresholdAiMin')
+};
+const thresholdError = document.getElementById('thresholdError');
+const thresholdPreview = document.getElementById('thresholdPreview');
+const refreshPreviewBtn = document.getElementById('refreshPreviewBtn');
+const accountWeightInputs = {
+    digitSuffix: document.getElementById('accountWeightDigitSuffix'),
+    randomHandle: document.getElementById('accountWeightRandomHandle'),
+    emojiName: document.getElementById('accountWeightEmojiName'),
+    dmInName: document.getElementById('accountWeightDmInName')
+};
+const accountWeightError = document.getElementById('accountWeightError');
+const protectedNamesList = document.getElementById('protectedNamesList');
+const newProtectedNameInput = document.getElementById('newProtectedName');
+const addProtectedNameBtn = document.getElementById('addProtectedNameBtn');
+const builtinProtectedNames = document.getElementById('builtinProtectedNames');
+const followingStatus = document.getElementById('followingStatus');
+const importFollowingBtn = document.getElementById('importFollowingBtn');
+const clearFollowingBtn = document.getElementById('clearFollowingBtn');
+const categoryPolicyRows = document.getElementById('categoryPolicyRows');
+const classifierStats = document.getElementById('classifierStats');
+const classifierWeightInput = document.getElementById('classifierWeight');
+const exportClassifierBtn = document.getElementById('exportClassifierBtn');
+const resetClassifierBtn = document.getElementById('resetClassifierBtn');
 
 // Storage keys
 const STORAGE_KEY_URL_PATTERNS = 'customUrlPatterns';
 const STORAGE_KEY_KEYWORDS = 'customKeywords';
+const STORAGE_KEY_REGEX_RULES = 'customRegexRules';
+const STORAGE_KEY_SAFE_DOMAINS = 'customSafeDomains';
+const STORAGE_KEY_DISABLED_SAFE_DOMAINS = 'disabledSafeDomains';
+const STORAGE_KEY_DISABLED_LANGUAGES = 'disabledLanguages';
+const STORAGE_KEY_KEYWORD_CATEGORIES = 'customKeywordCategories';
+const STORAGE_KEY_URL_CATEGORIES = 'customUrlCategories';
 const STORAGE_KEY_AUTO_LOAD_ALL = 'autoLoadAllMessages';
 const STORAGE_KEY_AI_SCANNING = 'aiScanningEnabled';
-
-// Current custom settings
-let customUrlPatterns = [];
-let customKeywords = {};
+const STORAGE_KEY_AI_PROVIDER = 'aiProvider';
+const STORAGE_KEY_AI_API_KEY = 'aiApiKey';
+const STORAGE_KEY_RISK_THRESHOLDS = 'riskThresholds';
+const STORAGE_KEY_RULE_PACKS = 'rulePacks';
+const STORAGE_KEY_ACCOUNT_SIGNAL_WEIGHTS = 'accountSignalWeights';
+const STORAGE_KEY_CLASSIFIER_WEIGHT = 'classifierWeight';
+const STORAGE_KEY_CLASSIFIER_MODEL = 'classifierModel';
+const STORAGE_KEY_PROTECTED_NAMES = 'protectedNames';
+const STORAGE_KEY_FOLLOWED_ACCOUNTS = 'followedAccounts';
+const STORAGE_KEY_CATEGORY_POLICIES = 'categoryPolicies';
+
+// Current custom settings (customUrlPatterns, customKeywords, customRegexRules, customSafeDomains,
+// disabledSafeDomains, disabledLanguages, customKeywordCategories, customUrlCategories, riskThresholds, accountSignalWeights, rulePacks, classifierWeight, classifierModel,
+// protectedNames and followedAccounts) are declared
+// in spam-patterns.js, which is also used for the threshold preview and regex tests
+
+// Requests fetched from an open x.com/messages/requests tab for the threshold preview
+let previewRequests = null;
+
+// Last imported following list ({accounts, importedAt}), or null when none was imported
+let followingImport = null;
+
+// Badge labels as shown in the popup
+const RISK_LEVEL_LABELS = {
+    high: 'SPAM',
+    medium: 'SUS',
+    low: '?',
+    safe: 'Clean'
+};
 
 /**
  * Load settings from storage
  */
 async function loadSettings() {
     try {
-        const result = await chrome.storage.sync.get([STORAGE_KEY_URL_PATTERNS, STORAGE_KEY_KEYWORDS, STORAGE_KEY_AUTO_LOAD_ALL, STORAGE_KEY_AI_SCANNING]);
+        const result = await chrome.storage.sync.get([
+            STORAGE_KEY_URL_PATTERNS, STORAGE_KEY_KEYWORDS, STORAGE_KEY_REGEX_RULES,
+            STORAGE_KEY_SAFE_DOMAINS, STORAGE_KEY_DISABLED_SAFE_DOMAINS, STORAGE_KEY_DISABLED_LANGUAGES,
+            STORAGE_KEY_KEYWORD_CATEGORIES, STORAGE_KEY_URL_CATEGORIES, STORAGE_KEY_AUTO_LOAD_ALL, STORAGE_KEY_AI_SCANNING, STORAGE_KEY_RISK_THRESHOLDS,
+            STORAGE_KEY_ACCOUNT_SIGNAL_WEIGHTS, STORAGE_KEY_CLASSIFIER_WEIGHT, STORAGE_KEY_PROTECTED_NAMES,
+            STORAGE_KEY_CATEGORY_POLICIES, STORAGE_KEY_AI_PROVIDER
+        ]);
         customUrlPatterns = result[STORAGE_KEY_URL_PATTERNS] || [];
         customKeywords = result[STORAGE_KEY_KEYWORDS] || {};
+        customRegexRules = result[STORAGE_KEY_REGEX_RULES] || [];
+        customSafeDomains = result[STORAGE_KEY_SAFE_DOMAINS] || [];
+        disabledSafeDomains = result[STORAGE_KEY_DISABLED_SAFE_DOMAINS] || [];
+        disabledLanguages = result[STORAGE_KEY_DISABLED_LANGUAGES] || [];
+        customKeywordCategories = result[STORAGE_KEY_KEYWORD_CATEGORIES] || {};
+        customUrlCategories = result[STORAGE_KEY_URL_CATEGORIES] || {};
         autoLoadAllToggle.checked = result[STORAGE_KEY_AUTO_LOAD_ALL] || false;
         aiScanningToggle.checked = result[STORAGE_KEY_AI_SCANNING] || false;
+        const thresholdCheck = validateRiskThresholds(result[STORAGE_KEY_RISK_THRESHOLDS]);
+        riskThresholds = thresholdCheck.error ? { ...DEFAULT_RISK_THRESHOLDS } : thresholdCheck.thresholds;
+        const accountCheck = validateAccountSignalWeights(result[STORAGE_KEY_ACCOUNT_SIGNAL_WEIGHTS]);
+        accountSignalWeights = accountCheck.error ? { ...DEFAULT_ACCOUNT_SIGNAL_WEIGHTS } : accountCheck.weights;
+        classifierWeight = validateClassifierWeight(result[STORAGE_KEY_CLASSIFIER_WEIGHT]);
+        setProtectedNames(result[STORAGE_KEY_PROTECTED_NAMES] || []);
+        const policyCheck = validateCategoryPolicies(result[STORAGE_KEY_CATEGORY_POLICIES]);
+        categoryPolicies = policyCheck.error ? getDefaultCategoryPolicies() : policyCheck.policies;
+        const providerCheck = validateAIProviderSettings(result[STORAGE_KEY_AI_PROVIDER]);
+        setAIProviderSettings(providerCheck.error ? { ...DEFAULT_AI_PROVIDER_SETTINGS } : providerCheck.settings);
+
+        const local = await chrome.storage.local.get([
+            STORAGE_KEY_RULE_PACKS, STORAGE_KEY_CLASSIFIER_MODEL, STORAGE_KEY_FOLLOWED_ACCOUNTS,
+            STORAGE_KEY_AI_API_KEY
+        ]);
+        aiApiKeyInput.value = local[STORAGE_KEY_AI_API_KEY] || '';
+        setRulePacks(local[STORAGE_KEY_RULE_PACKS] || []);
+        const storedModel = local[STORAGE_KEY_CLASSIFIER_MODEL];
+        classifierModel = isValidClassifierModel(storedModel) ? storedModel : null;
+        followingImport = local[STORAGE_KEY_FOLLOWED_ACCOUNTS] || null;
+        setFollowedAccounts(followingImport?.accounts || []);
         renderAll();
+        renderAICacheStats();
 
         await checkAndDisplayAIStatus();
+        await refreshThresholdPreview();
     } catch (error) {
         console.error('Failed to load settings:', error);
     }
@@ -67,7 +195,13 @@ async function saveSettings() {
     try {
         await chrome.storage.sync.set({
             [STORAGE_KEY_URL_PATTERNS]: customUrlPatterns,
-            [STORAGE_KEY_KEYWORDS]: customKeywords
+            [STORAGE_KEY_KEYWORDS]: customKeywords,
+            [STORAGE_KEY_REGEX_RULES]: customRegexRules,
+            [STORAGE_KEY_SAFE_DOMAINS]: customSafeDomains,
+            [STORAGE_KEY_DISABLED_SAFE_DOMAINS]: disabledSafeDomains,
+            [STORAGE_KEY_DISABLED_LANGUAGES]: disabledLanguages,
+            [STORAGE_KEY_KEYWORD_CATEGORIES]: customKeywordCategories,
+            [STORAGE_KEY_URL_CATEGORIES]: customUrlCategories
         });
         showSaveStatus('Saved!');
     } catch (error) {
@@ -91,8 +225,655 @@ function showSaveStatus(message, isError = false) {
  * Render all lists
  */
 function renderAll() {
+    renderAIProvider();
+    renderThresholds();
+    renderAccountSignalWeights();
+    renderProtectedNames();
+    renderFollowingStatus();
+    renderCategoryPolicies();
+    renderClassifier();
     renderUrlPatterns();
+    renderSafeDomains();
+    renderLanguages();
     renderKeywords();
+    renderRegexRules();
+    renderRulePacks();
+}
+
+/**
+ * Show the selected AI provider and the OpenAI-compatible server settings
+ */
+function renderAIProvider() {
+    const settings = getAIProviderSettings();
+    aiProviderSelect.innerHTML = Object.entries(AI_PROVIDERS).map(([id, provider]) =>
+        `<option value="${id}"${id === settings.provider ? ' selected' : ''}>${provider.label}</option>`).join('');
+    aiEndpointUrlInput.value = settings.url;
+    aiModelInput.value = settings.model;
+    showAIProviderFields(settings.provider);
+    showAIProviderError(null);
+}
+
+/**
+ * Show the fields that belong to a provider
+ * @param {string} provider - Key of AI_PROVIDERS
+ */
+function showAIProviderFields(provider) {
+    aiEndpointSettings.classList.toggle('hidden', provider !== 'openai-compatible');
+    aiBuiltinInfo.classList.toggle('hidden', provider !== 'chrome-builtin');
+}
+
+/**
+ * Show or hide the AI provider error
+ * @param {string|null} error - Message, or null to hide it
+ */
+function showAIProviderError(error) {
+    aiProviderError.textContent = error || '';
+    aiProviderError.classList.toggle('hidden', !error);
+}
+
+/**
+ * Save the AI provider settings and check the provider
+ * @param {Object} value - Provider settings to validate
+ * @returns {Promise<boolean>} True if saved
+ */
+async function saveAIProviderSettings(value) {
+    const { settings, error } = validateAIProviderSettings(value);
+    if (error) {
+        showAIProviderError(error);
+        return false;
+    }
+
+    try {
+        await chrome.storage.sync.set({ [STORAGE_KEY_AI_PROVIDER]: settings });
+        setAIProviderSettings(settings);
+        showAIProviderError(null);
+        showSaveStatus('Saved!');
+    } catch (error) {
+        console.error('Failed to save AI provider:', error);
+        showSaveStatus('Error saving', true);
+        return false;
+    }
+
+    await checkAndDisplayAIStatus();
+    return true;
+}
+
+/**
+ * Show how many AI verdicts are cached and how many prompts the cache saved
+ */
+async function renderAICacheStats() {
+    try {
+        const { entries, hits, misses } = await getAICacheStats();
+        const lookups = hits + misses;
+        clearAICacheBtn.disabled = entries === 0 && lookups === 0;
+
+        let text = entries === 0 ? 'No verdicts cached' : `${entries} verdict${entries !== 1 ? 's' : ''} cached`;
+        if (lookups > 0) {
+            text += `, ${hits} of ${lookups} lookup${lookups !== 1 ? 's' : ''} answered without the model ` +
+                `(${Math.round(hits / lookups * 100)}%)`;
+        }
+        aiCacheStats.textContent = `${text}.`;
+    } catch (error) {
+        console.error('XSpamSweeper: Failed to read AI verdict cache:', error);
+    }
+}
+
+/**
+ * Forget the cached AI verdicts so every message is sent to the model again
+ */
+async function clearAIVerdictCache() {
+    try {
+        await clearAICache();
+        await renderAICacheStats();
+        showSaveStatus('Cache cleared!');
+    } catch (error) {
+        console.error('XSpamSweeper: Failed to clear AI verdict cache:', error);
+        showSaveStatus('Error clearing', true);
+    }
+}
+
+/**
+ * Switch providers - Chrome's built-in AI is used right away, a server once its settings are saved
+ */
+async function onAIProviderChange() {
+    const provider = aiProviderSelect.value;
+    showAIProviderFields(provider);
+    showAIProviderError(null);
+    if (provider === 'chrome-builtin') {
+        await saveAIProviderSettings({ ...getAIProviderSettings(), provider });
+    }
+}
+
+/**
+ * Save the OpenAI-compatible server settings
+ * Asks for access to the server's host first; the background worker makes the requests
+ */
+async function saveOpenAICompatibleProvider() {
+    const value = {
+        provider: 'openai-compatible',
+        url: aiEndpointUrlInput.value.trim(),
+        model: aiModelInput.value.trim()
+    };
+    const { settings, error } = validateAIProviderSettings(value);
+    if (error) {
+        showAIProviderError(error);
+        return;
+    }
+    if (!settings.model) {
+        showAIProviderError('Enter the model to use, e.g. llama3.2');
+        return;
+    }
+
+    // Must run directly from the click so Chrome shows the permission prompt
+    const url = new URL(settings.url);
+    const granted = await chrome.permissions.request({ origins: [`${url.protocol}//${url.hostname}/*`] });
+    if (!granted) {
+        showAIProviderError(`Access to ${url.hostname} is needed to reach the server`);
+        return;
+    }
+
+    try {
+        const apiKey = aiApiKeyInput.value.trim();
+        if (apiKey) {
+            await chrome.storage.local.set({ [STORAGE_KEY_AI_API_KEY]: apiKey });
+        } else {
+            await chrome.storage.local.remove(STORAGE_KEY_AI_API_KEY);
+        }
+    } catch (error) {
+        console.error('Failed to save API key:', error);
+        showSaveStatus('Error saving', true);
+        return;
+    }
+
+    await saveAIProviderSettings(settings);
+}
+
+/**
+ * Fill the threshold inputs from the current settings
+ */
+function renderThresholds() {
+    for (const [key, input] of Object.entries(thresholdInputs)) {
+        input.value = riskThresholds[key];
+        input.classList.remove('invalid');
+    }
+    thresholdError.classList.add('hidden');
+    updateAIZoneRange(riskThresholds);
+}
+
+/**
+ * Show the AI review score range next to the AI scanning toggle
+ */
+function updateAIZoneRange(thresholds) {
+    aiZoneRange.textContent = `${thresholds.aiMin}-${thresholds.high - 1}`;
+}
+
+/**
+ * Read and validate the thresholds currently entered in the inputs
+ * @returns {{thresholds: Object, error: string|null}}
+ */
+function readThresholdInputs() {
+    const value = {};
+    for (const [key, input] of Object.entries(thresholdInputs)) {
+        value[key] = input.value === '' ? NaN : Number(input.value);
+    }
+
+    const missing = Object.keys(value).find(key => !Number.isFinite(value[key]));
+    if (missing) {
+        return { thresholds: null, error: 'All thresholds need a number' };
+    }
+    return validateRiskThresholds(value);
+}
+
+/**
+ * Handle threshold edits: update the preview while typing, save once valid
+ * @param {boolean} save - Persist the thresholds (on change) or only preview them (on input)
+ */
+async function onThresholdInput(save) {
+    const { thresholds, error } = readThresholdInputs();
+
+    Object.values(thresholdInputs).forEach(input => input.classList.toggle('invalid', !!error));
+    thresholdError.textContent = error || '';
+    thresholdError.classList.toggle('hidden', !error);
+
+    if (error) {
+        if (save) showSaveStatus('Invalid thresholds', true);
+        return;
+    }
+
+    renderThresholdPreview(thresholds);
+    updateAIZoneRange(thresholds);
+
+    if (!save) return;
+
+    try {
+        riskThresholds = thresholds;
+        await chrome.storage.sync.set({ [STORAGE_KEY_RISK_THRESHOLDS]: thresholds });
+        showSaveStatus('Saved!');
+    } catch (error) {
+        console.error('Failed to save risk thresholds:', error);
+        showSaveStatus('Error saving', true);
+    }
+}
+
+/**
+ * Fill the account signal weight inputs from the current settings
+ */
+function renderAccountSignalWeights() {
+    for (const [key, input] of Object.entries(accountWeightInputs)) {
+        input.value = accountSignalWeights[key];
+        input.classList.remove('invalid');
+    }
+    accountWeightError.classList.add('hidden');
+}
+
+/**
+ * Validate and save the account signal weights
+ */
+async function onAccountWeightChange() {
+    const value = {};
+    for (const [key, input] of Object.entries(accountWeightInputs)) {
+        value[key] = input.value === '' ? NaN : Number(input.value);
+    }
+
+    const { weights, error } = validateAccountSignalWeights(value);
+    Object.values(accountWeightInputs).forEach(input => input.classList.toggle('invalid', !!error));
+    accountWeightError.textContent = error || '';
+    accountWeightError.classList.toggle('hidden', !error);
+    if (error) {
+        showSaveStatus('Invalid weights', true);
+        return;
+    }
+
+    try {
+        accountSignalWeights = weights;
+        await chrome.storage.sync.set({ [STORAGE_KEY_ACCOUNT_SIGNAL_WEIGHTS]: weights });
+        showSaveStatus('Saved!');
+    } catch (error) {
+        console.error('Failed to save account signal weights:', error);
+        showSaveStatus('Error saving', true);
+    }
+}
+
+/**
+ * Render the protected names list and the built-in names
+ */
+function renderProtectedNames() {
+    protectedNamesList.innerHTML = '';
+
+    if (protectedNames.length === 0) {
+        protectedNamesList.innerHTML = '<div class="empty-state">No protected names added</div>';
+    }
+
+    protectedNames.forEach((name, index) => {
+        const item = document.createElement('div');
+        item.className = 'pattern-item';
+        item.innerHTML = `
+            <span class="pattern-text">${escapeHtml(name)}</span>
+            <button class="remove-btn" data-index="${index}" title="Remove">
+                <svg viewBox="0 0 24 24" fill="currentColor" width="16" height="16">
+                    <path d="M6 19c0 1.1.9 2 2 2h8c1.1 0 2-.9 2-2V7H6v12zM19 4h-3.5l-1-1h-5l-1 1H5v2h14V4z"/>
+                </svg>
+            </button>
+        `;
+        protectedNamesList.appendChild(item);
+    });
+
+    protectedNamesList.querySelectorAll('.remove-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const index = parseInt(btn.dataset.index);
+            saveProtectedNames(protectedNames.filter((_, i) => i !== index));
+        });
+    });
+
+    builtinProtectedNames.textContent = DEFAULT_PROTECTED_NAMES.join(', ');
+}
+
+/**
+ * Add a protected display name, or a handle when it starts with @
+ */
+function addProtectedName() {
+    let name = newProtectedNameInput.value.trim().replace(/\s+/g, ' ');
+    if (!name) return;
+
+    if (name.startsWith('@')) {
+        name = '@' + name.slice(1).trim();
+        if (!/^@\w{1,15}$/.test(name)) {
+            showSaveStatus('Enter a valid handle (e.g. @acme)', true);
+            return;
+        }
+    }
+
+    if (getNameSkeleton(name.replace(/^@/, '')).length < IMPERSONATION_MIN_LENGTH) {
+        showSaveStatus(`Names need at least ${IMPERSONATION_MIN_LENGTH} letters`, true);
+        return;
+    }
+
+    const lower = name.toLowerCase();
+    if ([...DEFAULT_PROTECTED_NAMES, ...protectedNames].some(existing => existing.toLowerCase() === lower)) {
+        showSaveStatus('Name already protected', true);
+        return;
+    }
+
+    newProtectedNameInput.value = '';
+    addProtectedNameBtn.disabled = true;
+    saveProtectedNames([...protectedNames, name]);
+}
+
+/**
+ * Save the protected names list and re-render it
+ * @param {string[]} names - New list
+ */
+async function saveProtectedNames(names) {
+    setProtectedNames(names);
+    renderProtectedNames();
+
+    try {
+        await chrome.storage.sync.set({ [STORAGE_KEY_PROTECTED_NAMES]: names });
+        showSaveStatus('Saved!');
+    } catch (error) {
+        console.error('Failed to save protected names:', error);
+        showSaveStatus('Error saving', true);
+    }
+}
+
+/**
+ * Show how many followed accounts are protected and when they were imported
+ */
+function renderFollowingStatus() {
+    const count = followingImport?.accounts?.length || 0;
+    clearFollowingBtn.disabled = count === 0;
+
+    if (count === 0) {
+        followingStatus.textContent = 'Not imported. Importing opens X in a minimized window and reads the accounts you follow.';
+        return;
+    }
+
+    followingStatus.textContent = `${count} account${count !== 1 ? 's' : ''} protected, ` +
+        `imported ${new Date(followingImport.importedAt).toLocaleString()}.`;
+}
+
+/**
+ * Ask the background worker to import the accounts the signed-in user follows
+ */
+async function importFollowing() {
+    importFollowingBtn.disabled = true;
+    importFollowingBtn.textContent = 'Importing...';
+
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'importFollowing' });
+        if (response?.success) {
+            showSaveStatus(`Imported ${response.count} account${response.count !== 1 ? 's' : ''}`);
+        } else {
+            showSaveStatus(response?.message || 'Import failed', true);
+        }
+    } catch (error) {
+        console.error('XSpamSweeper: Failed to import following list:', error);
+        showSaveStatus('Import failed', true);
+    } finally {
+        importFollowingBtn.disabled = false;
+        importFollowingBtn.textContent = 'Import accounts I follow';
+    }
+}
+
+/**
+ * Forget the imported following list
+ */
+async function clearFollowing() {
+    try {
+        await chrome.storage.local.remove(STORAGE_KEY_FOLLOWED_ACCOUNTS);
+        followingImport = null;
+        setFollowedAccounts([]);
+        renderFollowingStatus();
+        showSaveStatus('Cleared!');
+    } catch (error) {
+        console.error('XSpamSweeper: Failed to clear following list:', error);
+        showSaveStatus('Error clearing', true);
+    }
+}
+
+/**
+ * Render one row of action selects per spam category
+ */
+function renderCategoryPolicies() {
+    categoryPolicyRows.innerHTML = SPAM_CATEGORIES.map(category => {
+        const policy = categoryPolicies[category];
+        const selects = POLICY_RISK_LEVELS.map(level => {
+            const options = POLICY_ACTIONS.map(action =>
+                `<option value="${action}"${action === policy[level] ? ' selected' : ''}>${action}</option>`).join('');
+            return `<td><select class="policy-select" data-category="${category}" data-level="${level}" title="${category}, ${level} risk">${options}</select></td>`;
+        }).join('');
+        return `<tr>
+          <td>${category}</td>
+          ${selects}
+          <td><input type="checkbox" data-category="${category}" data-level="skipFollowed"${policy.skipFollowed ? ' checked' : ''} title="Leave accounts you follow alone" /></td>
+        </tr>`;
+    }).join('');
+}
+
+/**
+ * Save a changed policy action or "Skip followed" checkbox
+ * @param {Event} e - Change event from the policy table
+ */
+async function onCategoryPolicyChange(e) {
+    const { category, level } = e.target.dataset;
+    if (!category || !level) return;
+
+    const value = level === 'skipFollowed' ? e.target.checked : e.target.value;
+    const { policies, error } = validateCategoryPolicies({
+        ...categoryPolicies,
+        [category]: { ...categoryPolicies[category], [level]: value }
+    });
+    if (error) {
+        showSaveStatus(error, true);
+        renderCategoryPolicies();
+        return;
+    }
+
+    try {
+        categoryPolicies = policies;
+        await chrome.storage.sync.set({ [STORAGE_KEY_CATEGORY_POLICIES]: policies });
+        showSaveStatus('Saved!');
+    } catch (error) {
+        console.error('Failed to save category policies:', error);
+        showSaveStatus('Error saving', true);
+    }
+}
+
+/**
+ * Show the classifier weight and what the model has learned so far
+ */
+function renderClassifier() {
+    classifierWeightInput.value = classifierWeight;
+    classifierWeightInput.classList.remove('invalid');
+
+    const model = classifierModel;
+    const spam = model?.docs.spam || 0;
+    const ham = model?.docs.ham || 0;
+    exportClassifierBtn.disabled = !model;
+    resetClassifierBtn.disabled = !model;
+
+    if (spam === 0 && ham === 0) {
+        classifierStats.textContent = 'Nothing learned yet.';
+        return;
+    }
+
+    let text = `Learned from ${spam} spam and ${ham} not-spam example${ham !== 1 ? 's' : ''}, ` +
+        `${Object.keys(model.tokens).length} words`;
+    if (isClassifierReady(model)) {
+        text += ` (last updated ${new Date(model.updatedAt).toLocaleString()}).`;
+    } else {
+        const missing = [
+            [CLASSIFIER_MIN_EXAMPLES - spam, 'spam'],
+            [CLASSIFIER_MIN_EXAMPLES - ham, 'not-spam']
+        ].filter(([count]) => count > 0)
+            .map(([count, label]) => `${count} more ${label} example${count !== 1 ? 's' : ''}`)
+            .join(' and ');
+        text += `. Needs ${missing} before it affects scores.`;
+    }
+    classifierStats.textContent = text;
+}
+
+/**
+ * Save the classifier signal weight once it is a valid number
+ */
+async function onClassifierWeightChange() {
+    const value = classifierWeightInput.value === '' ? NaN : Number(classifierWeightInput.value);
+    const isValid = Number.isInteger(value) && value >= 0 && value <= CLASSIFIER_MAX_WEIGHT;
+    classifierWeightInput.classList.toggle('invalid', !isValid);
+
+    if (!isValid) {
+        showSaveStatus(`Weight must be 0-${CLASSIFIER_MAX_WEIGHT}`, true);
+        return;
+    }
+
+    try {
+        classifierWeight = value;
+        await chrome.storage.sync.set({ [STORAGE_KEY_CLASSIFIER_WEIGHT]: value });
+        showSaveStatus('Saved!');
+    } catch (error) {
+        console.error('Failed to save classifier weight:', error);
+        showSaveStatus('Error saving', true);
+    }
+}
+
+/**
+ * Download the learned model as JSON
+ */
+function exportClassifierModel() {
+    if (!classifierModel) return;
+
+    const blob = new Blob([JSON.stringify(classifierModel, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `x-spam-sweeper-classifier-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Forget everything the classifier has learned
+ */
+async function resetClassifierModel() {
+    if (!confirm('Reset the learned classifier? Everything it learned from your sweeps will be lost.')) {
+        return;
+    }
+
+    try {
+        await chrome.storage.local.remove(STORAGE_KEY_CLASSIFIER_MODEL);
+        classifierModel = null;
+        renderClassifier();
+        showSaveStatus('Model reset!');
+    } catch (error) {
+        console.error('XSpamSweeper: Failed to reset classifier:', error);
+        showSaveStatus('Error resetting', true);
+    }
+}
+
+/**
+ * Fetch the currently loaded message requests from an open x.com/messages/requests tab
+ * Scored like the popup scores them: resolved links first, then campaign clusters
+ * @returns {Promise<Array|null>} Requests, or null if no requests tab answered
+ */
+async function fetchPreviewRequests() {
+    const tabs = await chrome.tabs.query({
+        url: ['https://x.com/messages/requests*', 'https://twitter.com/messages/requests*']
+    });
+
+    for (const tab of tabs) {
+        try {
+            const response = await chrome.tabs.sendMessage(tab.id, { action: 'getMessageRequests' });
+            if (response?.success) {
+                return clusterMessageRequests(await applyResolvedLinks(response.data || []));
+            }
+        } catch (e) {
+            console.log(`XSpamSweeper: No content script in tab ${tab.id}`, e);
+        }
+    }
+    return null;
+}
+
+/**
+ * Re-score requests whose hidden links were already resolved, like the popup does
+ */
+async function applyResolvedLinks(requests) {
+    const storage = await chrome.storage.local.get(['resolvedLinks']);
+    const resolvedLinks = storage.resolvedLinks || {};
+
+    return requests.map(req => {
+        const resolved = resolvedLinks[req.username];
+        if (!resolved?.links?.length) return req;
+        return { ...req, spamInfo: { ...getSpamInfo(resolved.links.join(' '), req), isHiddenLink: false } };
+    });
+}
+
+/**
+ * Reload the preview requests and render them with the entered thresholds
+ */
+async function refreshThresholdPreview() {
+    refreshPreviewBtn.disabled = true;
+    try {
+        previewRequests = await fetchPreviewRequests();
+    } catch (error) {
+        console.error('XSpamSweeper: Failed to load preview requests:', error);
+        previewRequests = null;
+    }
+    refreshPreviewBtn.disabled = false;
+
+    const { thresholds, error } = readThresholdInputs();
+    renderThresholdPreview(error ? riskThresholds : thresholds);
+}
+
+/**
+ * Show how the loaded requests would be classified under the given thresholds,
+ * compared to the badges they were loaded with
+ * @param {Object} thresholds - Validated thresholds to preview
+ */
+function renderThresholdPreview(thresholds) {
+    if (!previewRequests) {
+        thresholdPreview.innerHTML = '<div class="empty-state">Open x.com/messages/requests in a tab to preview</div>';
+        return;
+    }
+    if (previewRequests.length === 0) {
+        thresholdPreview.innerHTML = '<div class="empty-state">No message requests loaded</div>';
+        return;
+    }
+
+    const levels = Object.keys(RISK_LEVEL_LABELS);
+    const before = Object.fromEntries(levels.map(level => [level, 0]));
+    const after = { ...before };
+    const changes = [];
+
+    for (const req of previewRequests) {
+        const spamInfo = req.spamInfo || { riskLevel: 'safe', score: 0 };
+        const oldLevel = spamInfo.riskLevel || 'safe';
+        let newScore = clampScore(spamInfo.rawScore ?? spamInfo.score, thresholds);
+        // Impersonators are always spam, whatever the high threshold is moved to
+        if (spamInfo.impersonation) newScore = Math.max(newScore, thresholds.high);
+        const newLevel = getRiskLevel(newScore, thresholds);
+
+        before[oldLevel]++;
+        after[newLevel]++;
+        if (oldLevel !== newLevel) {
+            changes.push({ username: req.username, oldLevel, newLevel, score: newScore });
+        }
+    }
+
+    const countsHtml = levels.map(level => {
+        const delta = after[level] - before[level];
+        const deltaHtml = delta ? `<span class="preview-delta">(${delta > 0 ? '+' : ''}${delta})</span>` : '';
+        return `<span class="preview-count">${RISK_LEVEL_LABELS[level]}: ${after[level]}${deltaHtml}</span>`;
+    }).join('');
+
+    const changesHtml = changes.length === 0
+        ? '<div class="empty-state">No requests change badge</div>'
+        : `<ul class="preview-changes">${changes.map(change => `
+            <li>
+              <span>@${escapeHtml(change.username)}: ${RISK_LEVEL_LABELS[change.oldLevel]} → ${RISK_LEVEL_LABELS[change.newLevel]}</span>
+              <span class="preview-score">${change.score}/${thresholds.maxScore}</span>
+            </li>`).join('')}
+          </ul>`;
+
+    thresholdPreview.innerHTML = `<div class="preview-counts">${countsHtml}</div>${changesHtml}`;
 }
 
 /**
@@ -111,6 +892,7 @@ function renderUrlPatterns() {
         item.className = 'pattern-item';
         item.innerHTML = `
             <span class="pattern-text" data-index="${index}" contenteditable="false" title="Click to edit">${escapeHtml(pattern)}</span>
+            ${createCategorySelectHtml(customUrlCategories[pattern], `data-index="${index}"`)}
             <button class="remove-btn" data-index="${index}" title="Remove">
                 <svg viewBox="0 0 24 24" fill="currentColor" width="16" height="16">
                     <path d="M6 19c0 1.1.9 2 2 2h8c1.1 0 2-.9 2-2V7H6v12zM19 4h-3.5l-1-1h-5l-1 1H5v2h14V4z"/>
@@ -153,6 +935,7 @@ function renderUrlPatterns() {
                     span.textContent = customUrlPatterns[index];
                     return;
                 }
+                moveCategory(customUrlCategories, customUrlPatterns[index], newValue);
                 customUrlPatterns[index] = newValue;
                 saveSettings();
             }
@@ -171,10 +954,18 @@ function renderUrlPatterns() {
         });
     });
 
+    urlPatternsList.querySelectorAll('.category-select').forEach(select => {
+        select.addEventListener('change', () => {
+            setCategory(customUrlCategories, customUrlPatterns[parseInt(select.dataset.index)], select.value);
+            saveSettings();
+        });
+    });
+
     // Add remove handlers
     urlPatternsList.querySelectorAll('.remove-btn').forEach(btn => {
         btn.addEventListener('click', () => {
             const index = parseInt(btn.dataset.index);
+            delete customUrlCategories[customUrlPatterns[index]];
             customUrlPatterns.splice(index, 1);
             saveSettings();
             renderUrlPatterns();
@@ -182,6 +973,85 @@ function renderUrlPatterns() {
     });
 }
 
+/**
+ * Render the user's safe domains and the built-in ones with their on/off state
+ */
+function renderSafeDomains() {
+    safeDomainsList.innerHTML = '';
+
+    if (customSafeDomains.length === 0) {
+        safeDomainsList.innerHTML = '<div class="empty-state">No custom safe domains added</div>';
+    }
+
+    customSafeDomains.forEach((domain, index) => {
+        const item = document.createElement('div');
+        item.className = 'pattern-item';
+        item.innerHTML = `
+            <span class="pattern-text">${escapeHtml(domain)}</span>
+            <button class="remove-btn" data-index="${index}" title="Remove">
+                <svg viewBox="0 0 24 24" fill="currentColor" width="16" height="16">
+                    <path d="M6 19c0 1.1.9 2 2 2h8c1.1 0 2-.9 2-2V7H6v12zM19 4h-3.5l-1-1h-5l-1 1H5v2h14V4z"/>
+                </svg>
+            </button>
+        `;
+        safeDomainsList.appendChild(item);
+    });
+
+    safeDomainsList.querySelectorAll('.remove-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            customSafeDomains.splice(parseInt(btn.dataset.index), 1);
+            saveSettings();
+            renderSafeDomains();
+        });
+    });
+
+    builtinSafeDomainsList.innerHTML = SAFE_DOMAINS.map(domain => {
+        const enabled = !disabledSafeDomains.includes(domain);
+        return `<label class="safe-domain-chip${enabled ? '' : ' disabled'}">
+            <input type="checkbox" data-domain="${escapeHtml(domain)}"${enabled ? ' checked' : ''}>
+            ${escapeHtml(domain)}
+        </label>`;
+    }).join('');
+
+    builtinSafeDomainsList.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+        checkbox.addEventListener('change', () => {
+            const domain = checkbox.dataset.domain;
+            disabledSafeDomains = disabledSafeDomains.filter(d => d !== domain);
+            if (!checkbox.checked) {
+                disabledSafeDomains.push(domain);
+            }
+            checkbox.parentElement.classList.toggle('disabled', !checkbox.checked);
+            saveSettings();
+        });
+    });
+}
+
+/**
+ * Render the language pack toggles
+ */
+function renderLanguages() {
+    languageList.innerHTML = Object.entries(LANGUAGE_NAMES).map(([code, name]) => {
+        const enabled = !disabledLanguages.includes(code);
+        const count = Object.keys(LANGUAGE_KEYWORD_WEIGHTS[code]).length + LANGUAGE_PACKS[code].regexes.length;
+        return `<label class="safe-domain-chip language-chip${enabled ? '' : ' disabled'}" title="${count} keywords and patterns">
+            <input type="checkbox" data-language="${code}"${enabled ? ' checked' : ''}>
+            ${escapeHtml(name)}
+        </label>`;
+    }).join('');
+
+    languageList.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+        checkbox.addEventListener('change', () => {
+            const code = checkbox.dataset.language;
+            disabledLanguages = disabledLanguages.filter(language => language !== code);
+            if (!checkbox.checked) {
+                disabledLanguages.push(code);
+            }
+            checkbox.parentElement.classList.toggle('disabled', !checkbox.checked);
+            saveSettings();
+        });
+    });
+}
+
 /**
  * Render keywords list
  */
@@ -196,14 +1066,17 @@ function renderKeywords() {
 
     keywords.forEach(([keyword, weight]) => {
         const item = document.createElement('div');
-        item.className = 'keyword-item';
+        // Keywords using wildcards, NEAR or stemming are highlighted
+        const isPattern = isKeywordPattern(keyword);
+        item.className = isPattern ? 'keyword-item pattern' : 'keyword-item';
         item.innerHTML = `
-            <span class="keyword-text" data-keyword="${escapeHtml(keyword)}" contenteditable="false" title="Click to edit">${escapeHtml(keyword)}</span>
+            <span class="keyword-text" data-keyword="${escapeHtml(keyword)}" contenteditable="false" title="${isPattern ? 'Pattern - click to edit' : 'Click to edit'}">${escapeHtml(keyword)}</span>
             <div class="number-input-wrapper">
                 <button type="button" class="spin-btn spin-down" data-keyword="${escapeHtml(keyword)}">−</button>
-                <input type="number" class="keyword-weight-input" data-keyword="${escapeHtml(keyword)}" min="1" max="10" value="${weight}">
+                <input type="number" class="keyword-weight-input" data-keyword="${escapeHtml(keyword)}" min="${CUSTOM_KEYWORD_MIN_WEIGHT}" max="${CUSTOM_KEYWORD_MAX_WEIGHT}" value="${weight}">
                 <button type="button" class="spin-btn spin-up" data-keyword="${escapeHtml(keyword)}">+</button>
             </div>
+            ${createCategorySelectHtml(customKeywordCategories[keyword], `data-keyword="${escapeHtml(keyword)}"`)}
             <button class="remove-btn" data-keyword="${escapeHtml(keyword)}" title="Remove">
                 <svg viewBox="0 0 24 24" fill="currentColor" width="16" height="16">
                     <path d="M6 19c0 1.1.9 2 2 2h8c1.1 0 2-.9 2-2V7H6v12zM19 4h-3.5l-1-1h-5l-1 1H5v2h14V4z"/>
@@ -239,10 +1112,17 @@ function renderKeywords() {
                     span.textContent = oldKeyword;
                     return;
                 }
+                const { error } = parseKeywordPattern(newKeyword);
+                if (error) {
+                    showSaveStatus(error, true);
+                    span.textContent = oldKeyword;
+                    return;
+                }
                 // Transfer weight to new keyword and delete old
                 const weight = customKeywords[oldKeyword];
                 delete customKeywords[oldKeyword];
                 customKeywords[newKeyword] = weight;
+                moveCategory(customKeywordCategories, oldKeyword, newKeyword);
                 saveSettings();
                 renderKeywords();
             }
@@ -263,7 +1143,7 @@ function renderKeywords() {
     keywordWeightsList.querySelectorAll('.keyword-weight-input').forEach(input => {
         input.addEventListener('change', () => {
             const keyword = input.dataset.keyword;
-            const newWeight = Math.min(10, Math.max(1, parseInt(input.value) || 1));
+            const newWeight = clampKeywordWeight(parseInt(input.value) || 1);
             input.value = newWeight;
             customKeywords[keyword] = newWeight;
             saveSettings();
@@ -274,16 +1154,12 @@ function renderKeywords() {
         btn.addEventListener('click', () => {
             const keyword = btn.dataset.keyword;
             const input = keywordWeightsList.querySelector(`.keyword-weight-input[data-keyword="${keyword}"]`);
-            let value = parseInt(input.value) || 1;
+            const value = parseInt(input.value) || 1;
+            const direction = btn.classList.contains('spin-up') ? 1 : -1;
+            const newWeight = clampKeywordWeight(value + direction, direction);
 
-            if (btn.classList.contains('spin-up')) {
-                value = Math.min(10, value + 1);
-            } else {
-                value = Math.max(1, value - 1);
-            }
-
-            input.value = value;
-            customKeywords[keyword] = value;
+            input.value = newWeight;
+            customKeywords[keyword] = newWeight;
             saveSettings();
         });
     });
@@ -292,10 +1168,434 @@ function renderKeywords() {
         btn.addEventListener('click', () => {
             const keyword = btn.dataset.keyword;
             delete customKeywords[keyword];
+            delete customKeywordCategories[keyword];
             saveSettings();
             renderKeywords();
         });
     });
+
+    keywordWeightsList.querySelectorAll('.category-select').forEach(select => {
+        select.addEventListener('change', () => {
+            setCategory(customKeywordCategories, select.dataset.keyword, select.value);
+            saveSettings();
+        });
+    });
+}
+
+/**
+ * Render custom regex rules list
+ */
+function renderRegexRules() {
+    regexRulesList.innerHTML = '';
+    // The scorer caches compiled rules, rebuild them from the current list
+    _customRegexes = null;
+    renderRegexTest();
+
+    if (customRegexRules.length === 0) {
+        regexRulesList.innerHTML = '<div class="empty-state">No custom regex rules added</div>';
+        return;
+    }
+
+    customRegexRules.forEach((rule, index) => {
+        const item = document.createElement('div');
+        item.className = 'keyword-item regex-item';
+        item.innerHTML = `
+            <span class="regex-name">${escapeHtml(rule.name)}</span>
+            <code class="regex-pattern" title="${escapeHtml(rule.pattern)}">${escapeHtml(rule.pattern)}</code>
+            <div class="number-input-wrapper">
+                <button type="button" class="spin-btn spin-down" data-index="${index}">−</button>
+                <input type="number" class="keyword-weight-input" data-index="${index}" min="1" max="10" value="${rule.weight}">
+                <button type="button" class="spin-btn spin-up" data-index="${index}">+</button>
+            </div>
+            ${createCategorySelectHtml(rule.category, `data-index="${index}"`)}
+            <button class="remove-btn" data-index="${index}" title="Remove">
+                <svg viewBox="0 0 24 24" fill="currentColor" width="16" height="16">
+                    <path d="M6 19c0 1.1.9 2 2 2h8c1.1 0 2-.9 2-2V7H6v12zM19 4h-3.5l-1-1h-5l-1 1H5v2h14V4z"/>
+                </svg>
+            </button>
+        `;
+        regexRulesList.appendChild(item);
+    });
+
+    const setWeight = (index, value) => {
+        customRegexRules[index].weight = Math.min(REGEX_RULE_MAX_WEIGHT, Math.max(REGEX_RULE_MIN_WEIGHT, value));
+        _customRegexes = null;
+        saveSettings();
+        renderRegexTest();
+        return customRegexRules[index].weight;
+    };
+
+    regexRulesList.querySelectorAll('.keyword-weight-input').forEach(input => {
+        input.addEventListener('change', () => {
+            input.value = setWeight(parseInt(input.dataset.index), parseInt(input.value) || 1);
+        });
+    });
+
+    regexRulesList.querySelectorAll('.spin-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const index = parseInt(btn.dataset.index);
+            const input = regexRulesList.querySelector(`.keyword-weight-input[data-index="${index}"]`);
+            const value = parseInt(input.value) || 1;
+            input.value = setWeight(index, btn.classList.contains('spin-up') ? value + 1 : value - 1);
+        });
+    });
+
+    regexRulesList.querySelectorAll('.category-select').forEach(select => {
+        select.addEventListener('change', () => {
+            setCategory(customRegexRules[parseInt(select.dataset.index)], 'category', select.value);
+            _customRegexes = null;
+            saveSettings();
+        });
+    });
+
+    regexRulesList.querySelectorAll('.remove-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            customRegexRules.splice(parseInt(btn.dataset.index), 1);
+            saveSettings();
+            renderRegexRules();
+        });
+    });
+}
+
+/**
+ * Show or clear the regex rule validation error
+ */
+function showRegexRuleError(error) {
+    regexRuleError.textContent = error || '';
+    regexRuleError.classList.toggle('hidden', !error);
+}
+
+/**
+ * Add new regex rule
+ */
+function addRegexRule() {
+    const { rule, error } = validateRegexRule({
+        name: newRegexNameInput.value,
+        pattern: newRegexPatternInput.value,
+        weight: parseInt(newRegexWeightInput.value) || 5
+    });
+
+    if (error) {
+        showRegexRuleError(error);
+        return;
+    }
+
+    if (customRegexRules.some(existing => existing.name === rule.name)) {
+        showRegexRuleError('A rule with this name already exists');
+        return;
+    }
+
+    customRegexRules.push(rule);
+    newRegexNameInput.value = '';
+    newRegexPatternInput.value = '';
+    newRegexWeightInput.value = '5';
+    addRegexRuleBtn.disabled = true;
+    showRegexRuleError(null);
+    saveSettings();
+    renderRegexRules();
+}
+
+/**
+ * Run the test message through the scorer and list which regex rules match,
+ * including the rule currently typed into the add form
+ */
+function renderRegexTest() {
+    const text = regexTestInput.value;
+    if (!text.trim()) {
+        regexTestResults.innerHTML = '';
+        return;
+    }
+
+    // Same text the scorer sees: normalized, with leetspeak folded
+    const keywordText = normalizeText(text).keywordText;
+    const results = Object.entries(getSpamInfo(text).keywordMatch.matchedKeywords)
+        .filter(([key]) => /^regex:(custom|pack):/.test(key))
+        .map(([key, match]) => ({ name: key.replace(/^regex:(custom|pack):/, ''), ...match }));
+
+    const draft = validateRegexRule({
+        name: newRegexNameInput.value || 'draft',
+        pattern: newRegexPatternInput.value,
+        weight: parseInt(newRegexWeightInput.value) || 5
+    });
+    if (newRegexPatternInput.value.trim() && draft.regex) {
+        const matches = [...keywordText.matchAll(draft.regex)].map(match => match[0]);
+        if (matches.length > 0) {
+            results.push({
+                name: `${draft.rule.name} (not added yet)`,
+                contribution: draft.rule.weight * matches.length,
+                matches: matches.slice(0, 3)
+            });
+        }
+    }
+
+    if (results.length === 0) {
+        regexTestResults.innerHTML = '<div class="empty-state">No regex rule matches</div>';
+        return;
+    }
+
+    regexTestResults.innerHTML = results.map(result => `
+        <div class="regex-test-match">
+          <span>${escapeHtml(result.name)}: <code>${result.matches.map(escapeHtml).join(', ')}</code></span>
+          <span>+${result.contribution}</span>
+        </div>`).join('');
+}
+
+/**
+ * Save rule packs to local storage (packs can exceed the sync quota)
+ * @param {Array} packs - Rule-pack entries to store
+ */
+async function saveRulePacks(packs) {
+    setRulePacks(packs);
+    try {
+        await chrome.storage.local.set({ [STORAGE_KEY_RULE_PACKS]: packs });
+        showSaveStatus('Saved!');
+    } catch (error) {
+        console.error('Failed to save rule packs:', error);
+        showSaveStatus('Error saving', true);
+    }
+    renderRulePacks();
+    renderRegexTest();
+}
+
+/**
+ * Describe a subscription's last download for the rule pack list
+ * @param {Object} entry - Rule-pack entry with source 'url'
+ * @returns {{text: string, isError: boolean}}
+ */
+function describeSubscriptionStatus(entry) {
+    const when = (iso) => iso ? new Date(iso).toLocaleString() : 'never';
+
+    if (entry.lastError) {
+        const fallback = entry.pack ? `using copy from ${when(entry.lastUpdated)}` : 'no copy downloaded yet';
+        return { text: `Update failed ${when(entry.lastChecked)}: ${entry.lastError} (${fallback})`, isError: true };
+    }
+    if (!entry.pack) {
+        return { text: 'Waiting for first download...', isError: false };
+    }
+    if (entry.lastStatus === 'not_modified') {
+        return { text: `Checked ${when(entry.lastChecked)}, no changes since ${when(entry.lastUpdated)}`, isError: false };
+    }
+    return { text: `Updated ${when(entry.lastUpdated)}`, isError: false };
+}
+
+/**
+ * Render imported rule packs and subscriptions with their metadata, on/off switch and remove button
+ */
+function renderRulePacks() {
+    rulePacksList.innerHTML = '';
+
+    if (rulePacks.length === 0) {
+        rulePacksList.innerHTML = '<div class="empty-state">No rule packs imported</div>';
+        return;
+    }
+
+    rulePacks.forEach((entry, index) => {
+        const { pack } = entry;
+        const isSubscription = entry.source === 'url';
+
+        let infoHtml;
+        if (pack) {
+            const rules = pack.rules;
+            const counts = [
+                [rules.highRiskDomains.length + rules.mediumRiskDomains.length, 'domain'],
+                [rules.safeDomains.length, 'safe domain'],
+                [Object.keys(rules.keywords).length, 'keyword'],
+                [rules.regexRules.length, 'regex rule']
+            ].filter(([count]) => count > 0).map(([count, label]) => `${count} ${label}${count !== 1 ? 's' : ''}`).join(', ');
+
+            infoHtml = `
+                <span class="rule-pack-name">${escapeHtml(pack.name)}<span class="rule-pack-version">v${escapeHtml(pack.version)}</span></span>
+                <span class="rule-pack-meta">by ${escapeHtml(pack.author)} · ${escapeHtml(pack.date)} · ${counts}</span>
+                ${pack.description ? `<span class="rule-pack-meta">${escapeHtml(pack.description)}</span>` : ''}`;
+        } else {
+            infoHtml = `<span class="rule-pack-name">${escapeHtml(new URL(entry.url).hostname)}</span>`;
+        }
+
+        if (isSubscription) {
+            const status = describeSubscriptionStatus(entry);
+            infoHtml += `
+                <span class="rule-pack-meta rule-pack-url" title="${escapeHtml(entry.url)}">${escapeHtml(entry.url)}</span>
+                <span class="rule-pack-meta${status.isError ? ' error' : ''}">${escapeHtml(status.text)}</span>`;
+        }
+
+        const item = document.createElement('div');
+        item.className = `pattern-item rule-pack-item${entry.enabled ? '' : ' disabled'}`;
+        item.innerHTML = `
+            <div class="rule-pack-info">${infoHtml}
+            </div>
+            ${isSubscription ? `<button class="btn btn-secondary refresh-btn" data-index="${index}">Refresh</button>` : ''}
+            <label class="toggle-switch" title="${entry.enabled ? 'Disable' : 'Enable'} pack">
+                <input type="checkbox" data-index="${index}"${entry.enabled ? ' checked' : ''} />
+                <span class="toggle-slider"></span>
+            </label>
+            <button class="remove-btn" data-index="${index}" title="Remove">
+                <svg viewBox="0 0 24 24" fill="currentColor" width="16" height="16">
+                    <path d="M6 19c0 1.1.9 2 2 2h8c1.1 0 2-.9 2-2V7H6v12zM19 4h-3.5l-1-1h-5l-1 1H5v2h14V4z"/>
+                </svg>
+            </button>
+        `;
+        rulePacksList.appendChild(item);
+    });
+
+    rulePacksList.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+        checkbox.addEventListener('change', () => {
+            const index = parseInt(checkbox.dataset.index);
+            saveRulePacks(rulePacks.map((entry, i) => i === index ? { ...entry, enabled: checkbox.checked } : entry));
+        });
+    });
+
+    rulePacksList.querySelectorAll('.refresh-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            btn.disabled = true;
+            refreshSubscription(rulePacks[parseInt(btn.dataset.index)].url);
+        });
+    });
+
+    rulePacksList.querySelectorAll('.remove-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const index = parseInt(btn.dataset.index);
+            const entry = rulePacks[index];
+            if (!confirm(`Remove rule pack "${entry.pack?.name || entry.url}"?`)) return;
+            saveRulePacks(rulePacks.filter((_, i) => i !== index));
+        });
+    });
+}
+
+/**
+ * Show or clear the rule pack import error
+ */
+function showRulePackError(error) {
+    rulePackError.textContent = error || '';
+    rulePackError.classList.toggle('hidden', !error);
+}
+
+/**
+ * Import a rule pack from a JSON file
+ * A pack with the same name as an installed one replaces it and keeps its on/off state
+ * @param {File} file - Selected file
+ */
+async function importRulePack(file) {
+    showRulePackError(null);
+
+    let data;
+    try {
+        data = JSON.parse(await file.text());
+    } catch (error) {
+        showRulePackError(`${file.name} is not valid JSON: ${error.message}`);
+        return;
+    }
+
+    const { pack, error } = validateRulePack(data);
+    if (error) {
+        showRulePackError(`${file.name}: ${error}`);
+        return;
+    }
+
+    const existingIndex = rulePacks.findIndex(entry => entry.source !== 'url' && entry.pack?.name === pack.name);
+    const entry = {
+        pack,
+        enabled: existingIndex === -1 ? true : rulePacks[existingIndex].enabled,
+        importedAt: new Date().toISOString(),
+        source: 'file'
+    };
+
+    if (existingIndex === -1) {
+        await saveRulePacks([...rulePacks, entry]);
+    } else {
+        await saveRulePacks(rulePacks.map((existing, i) => i === existingIndex ? entry : existing));
+    }
+    console.log(`XSpamSweeper: Imported rule pack "${pack.name}" v${pack.version}`);
+}
+
+/**
+ * Check a subscription URL: https anywhere, plain http only for a local test server
+ * @returns {{url: URL|null, error: string|null}}
+ */
+function parseSubscriptionUrl(input) {
+    let url;
+    try {
+        url = new URL(input);
+    } catch {
+        return { url: null, error: 'Enter a full URL, e.g. https://example.com/rules.json' };
+    }
+
+    const isLocal = url.hostname === 'localhost' || url.hostname === '127.0.0.1';
+    if (url.protocol !== 'https:' && !(url.protocol === 'http:' && isLocal)) {
+        return { url: null, error: 'Subscriptions must use https (http is only allowed for localhost)' };
+    }
+    return { url, error: null };
+}
+
+/**
+ * Subscribe to a rule pack URL
+ * Asks for access to the host first, then lets the background worker download it
+ */
+async function addSubscription() {
+    showRulePackError(null);
+
+    const { url, error } = parseSubscriptionUrl(newSubscriptionUrlInput.value.trim());
+    if (error) {
+        showRulePackError(error);
+        return;
+    }
+
+    const sha256 = newSubscriptionShaInput.value.trim().toLowerCase();
+    if (sha256 && !/^[0-9a-f]{64}$/.test(sha256)) {
+        showRulePackError('SHA-256 must be 64 hex characters');
+        return;
+    }
+
+    if (rulePacks.some(entry => entry.source === 'url' && entry.url === url.href)) {
+        showRulePackError('Already subscribed to this URL');
+        return;
+    }
+
+    // Must run directly from the click so Chrome shows the permission prompt
+    const granted = await chrome.permissions.request({ origins: [`${url.protocol}//${url.hostname}/*`] });
+    if (!granted) {
+        showRulePackError(`Access to ${url.hostname} is needed to download the rule pack`);
+        return;
+    }
+
+    await saveRulePacks([...rulePacks, {
+        pack: null,
+        enabled: true,
+        importedAt: new Date().toISOString(),
+        source: 'url',
+        url: url.href,
+        sha256: sha256 || null,
+        etag: null,
+        lastModified: null,
+        lastChecked: null,
+        lastUpdated: null,
+        lastStatus: null,
+        lastError: null
+    }]);
+
+    newSubscriptionUrlInput.value = '';
+    newSubscriptionShaInput.value = '';
+    addSubscriptionBtn.disabled = true;
+    await refreshSubscription(url.href);
+}
+
+/**
+ * Ask the background worker to download a subscription now
+ * The list re-renders through the storage listener once the result is saved
+ */
+async function refreshSubscription(url) {
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'refreshRuleSubscriptions', url });
+        const result = response?.results?.[0];
+        if (result?.error) {
+            showSaveStatus('Update failed', true);
+        } else if (result) {
+            showSaveStatus(result.status === 'not_modified' ? 'No changes' : 'Updated!');
+        }
+    } catch (error) {
+        console.error('XSpamSweeper: Failed to refresh subscription:', error);
+        showSaveStatus('Error refreshing', true);
+    }
+    renderRulePacks();
 }
 
 /**
@@ -337,6 +1637,39 @@ function addUrlPattern() {
     renderUrlPatterns();
 }
 
+/**
+ * Add new safe domain
+ * Accepts a bare domain or a URL, and stores only its hostname
+ */
+function addSafeDomain() {
+    let domain = newSafeDomainInput.value.trim().toLowerCase();
+
+    if (!domain) return;
+
+    if (!isValidDomainOrUrl(domain)) {
+        showSaveStatus('Enter a valid domain (e.g. mycompany.com)', true);
+        return;
+    }
+
+    domain = domain.replace(/^https?:\/\//, '').replace(/\/.*$/, '').replace(/^www\./, '');
+
+    if (SAFE_DOMAINS.includes(domain) && !disabledSafeDomains.includes(domain)) {
+        showSaveStatus('Already a built-in safe domain', true);
+        return;
+    }
+
+    if (customSafeDomains.includes(domain)) {
+        showSaveStatus('Domain already exists', true);
+        return;
+    }
+
+    customSafeDomains.push(domain);
+    newSafeDomainInput.value = '';
+    addSafeDomainBtn.disabled = true;
+    saveSettings();
+    renderSafeDomains();
+}
+
 /**
  * Add new keyword
  */
@@ -351,13 +1684,68 @@ function addKeyword() {
         return;
     }
 
-    customKeywords[keyword] = Math.min(10, Math.max(1, weight));
+    const { error } = parseKeywordPattern(keyword);
+    if (error) {
+        showSaveStatus(error, true);
+        return;
+    }
+
+    customKeywords[keyword] = clampKeywordWeight(weight);
     newKeywordInput.value = '';
     newKeywordWeightInput.value = '3';
     saveSettings();
     renderKeywords();
 }
 
+/**
+ * Clamp a custom keyword weight to -10..10, skipping 0 (a keyword that changes nothing)
+ * @param {number} value - Requested weight
+ * @param {number} [direction=1] - Side to land on when value is 0
+ * @returns {number}
+ */
+function clampKeywordWeight(value, direction = 1) {
+    const weight = Math.min(CUSTOM_KEYWORD_MAX_WEIGHT, Math.max(CUSTOM_KEYWORD_MIN_WEIGHT, value));
+    return weight === 0 ? Math.sign(direction) : weight;
+}
+
+/**
+ * Create the spam category dropdown of a custom entry
+ * @param {string} [category] - Current category, none when empty
+ * @param {string} dataAttribute - Attribute identifying the entry, e.g. data-index="2"
+ * @returns {string} HTML string
+ */
+function createCategorySelectHtml(category, dataAttribute) {
+    const options = SPAM_CATEGORIES.map(name =>
+        `<option value="${name}"${name === category ? ' selected' : ''}>${name}</option>`).join('');
+    return `<select class="category-select" ${dataAttribute} title="Spam category"><option value="">No category</option>${options}</select>`;
+}
+
+/**
+ * Set or clear the category stored under a key
+ * @param {Object} target - Category map or regex rule
+ * @param {string} key - Entry in the map ("category" for a regex rule)
+ * @param {string} category - One of SPAM_CATEGORIES, or empty to clear it
+ */
+function setCategory(target, key, category) {
+    if (isValidSpamCategory(category)) {
+        target[key] = category;
+    } else {
+        delete target[key];
+    }
+}
+
+/**
+ * Keep an entry's category when the entry is renamed
+ * @param {Object} categories - Category map
+ * @param {string} oldKey - Previous name
+ * @param {string} newKey - New name
+ */
+function moveCategory(categories, oldKey, newKey) {
+    if (!categories[oldKey]) return;
+    categories[newKey] = categories[oldKey];
+    delete categories[oldKey];
+}
+
 /**
  * Reset to defaults
  */
@@ -371,6 +1759,19 @@ async function resetToDefaults() {
     // Reset custom patterns and keywords
     customUrlPatterns = [];
     customKeywords = {};
+    customRegexRules = [];
+    customSafeDomains = [];
+    disabledSafeDomains = [];
+    disabledLanguages = [];
+    customKeywordCategories = {};
+    customUrlCategories = {};
+    riskThresholds = { ...DEFAULT_RISK_THRESHOLDS };
+    accountSignalWeights = { ...DEFAULT_ACCOUNT_SIGNAL_WEIGHTS };
+    classifierWeight = DEFAULT_CLASSIFIER_WEIGHT;
+    setProtectedNames([]);
+    categoryPolicies = getDefaultCategoryPolicies();
+    setAIProviderSettings({ ...DEFAULT_AI_PROVIDER_SETTINGS });
+    aiApiKeyInput.value = '';
 
     // Reset toggles to defaults (all off)
     autoLoadAllToggle.checked = false;
@@ -381,18 +1782,33 @@ async function resetToDefaults() {
         const settingsToSave = {
             [STORAGE_KEY_URL_PATTERNS]: [],
             [STORAGE_KEY_KEYWORDS]: {},
+            [STORAGE_KEY_REGEX_RULES]: [],
+            [STORAGE_KEY_SAFE_DOMAINS]: [],
+            [STORAGE_KEY_DISABLED_SAFE_DOMAINS]: [],
+            [STORAGE_KEY_DISABLED_LANGUAGES]: [],
+            [STORAGE_KEY_KEYWORD_CATEGORIES]: {},
+            [STORAGE_KEY_URL_CATEGORIES]: {},
             [STORAGE_KEY_AUTO_LOAD_ALL]: false,
-            [STORAGE_KEY_AI_SCANNING]: false
+            [STORAGE_KEY_AI_SCANNING]: false,
+            [STORAGE_KEY_RISK_THRESHOLDS]: { ...DEFAULT_RISK_THRESHOLDS },
+            [STORAGE_KEY_ACCOUNT_SIGNAL_WEIGHTS]: { ...DEFAULT_ACCOUNT_SIGNAL_WEIGHTS },
+            [STORAGE_KEY_CLASSIFIER_WEIGHT]: DEFAULT_CLASSIFIER_WEIGHT,
+            [STORAGE_KEY_PROTECTED_NAMES]: [],
+            [STORAGE_KEY_CATEGORY_POLICIES]: getDefaultCategoryPolicies(),
+            [STORAGE_KEY_AI_PROVIDER]: { ...DEFAULT_AI_PROVIDER_SETTINGS }
         };
         console.log('XSpamSweeper: Saving reset settings:', settingsToSave);
 
         await chrome.storage.sync.set(settingsToSave);
+        await chrome.storage.local.remove(STORAGE_KEY_AI_API_KEY);
 
         // Verify the save worked
         const verify = await chrome.storage.sync.get([STORAGE_KEY_AUTO_LOAD_ALL, STORAGE_KEY_AI_SCANNING]);
         console.log('XSpamSweeper: Verified saved settings:', verify);
 
         renderAll();
+        renderThresholdPreview(riskThresholds);
+        await checkAndDisplayAIStatus();
         showSaveStatus('Reset complete!');
     } catch (error) {
         console.error('XSpamSweeper: Failed to reset settings:', error);
@@ -418,6 +1834,14 @@ newUrlPatternInput.addEventListener('input', () => {
     addUrlPatternBtn.disabled = !newUrlPatternInput.value.trim();
 });
 
+addSafeDomainBtn.addEventListener('click', addSafeDomain);
+newSafeDomainInput.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') addSafeDomain();
+});
+newSafeDomainInput.addEventListener('input', () => {
+    addSafeDomainBtn.disabled = !newSafeDomainInput.value.trim();
+});
+
 addKeywordBtn.addEventListener('click', addKeyword);
 newKeywordInput.addEventListener('keypress', (e) => {
     if (e.key === 'Enter') addKeyword();
@@ -427,22 +1851,112 @@ newKeywordInput.addEventListener('input', () => {
 });
 
 newKeywordWeightUp.addEventListener('click', () => {
-    let value = parseInt(newKeywordWeightInput.value) || 1;
-    newKeywordWeightInput.value = Math.min(10, value + 1);
+    const value = parseInt(newKeywordWeightInput.value) || 1;
+    newKeywordWeightInput.value = clampKeywordWeight(value + 1, 1);
 });
 
 newKeywordWeightDown.addEventListener('click', () => {
-    let value = parseInt(newKeywordWeightInput.value) || 1;
-    newKeywordWeightInput.value = Math.max(1, value - 1);
+    const value = parseInt(newKeywordWeightInput.value) || 1;
+    newKeywordWeightInput.value = clampKeywordWeight(value - 1, -1);
 });
 
 newKeywordWeightInput.addEventListener('blur', () => {
-    let value = parseInt(newKeywordWeightInput.value) || 1;
-    newKeywordWeightInput.value = Math.min(10, Math.max(1, value));
+    const value = parseInt(newKeywordWeightInput.value) || 1;
+    newKeywordWeightInput.value = clampKeywordWeight(value);
+});
+
+addRegexRuleBtn.addEventListener('click', addRegexRule);
+[newRegexNameInput, newRegexPatternInput].forEach(input => {
+    input.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') addRegexRule();
+    });
+    input.addEventListener('input', () => {
+        addRegexRuleBtn.disabled = !newRegexNameInput.value.trim() || !newRegexPatternInput.value.trim();
+        showRegexRuleError(null);
+        renderRegexTest();
+    });
+});
+
+newRegexWeightUp.addEventListener('click', () => {
+    let value = parseInt(newRegexWeightInput.value) || 1;
+    newRegexWeightInput.value = Math.min(REGEX_RULE_MAX_WEIGHT, value + 1);
+});
+
+newRegexWeightDown.addEventListener('click', () => {
+    let value = parseInt(newRegexWeightInput.value) || 1;
+    newRegexWeightInput.value = Math.max(REGEX_RULE_MIN_WEIGHT, value - 1);
+});
+
+regexTestInput.addEventListener('input', renderRegexTest);
+
+importRulePackBtn.addEventListener('click', () => rulePackFile.click());
+rulePackFile.addEventListener('change', async () => {
+    const [file] = rulePackFile.files;
+    if (file) await importRulePack(file);
+    rulePackFile.value = '';
+});
+
+addSubscriptionBtn.addEventListener('click', addSubscription);
+newSubscriptionUrlInput.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') addSubscription();
+});
+newSubscriptionUrlInput.addEventListener('input', () => {
+    addSubscriptionBtn.disabled = !newSubscriptionUrlInput.value.trim();
+});
+
+addProtectedNameBtn.addEventListener('click', addProtectedName);
+newProtectedNameInput.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') addProtectedName();
+});
+newProtectedNameInput.addEventListener('input', () => {
+    addProtectedNameBtn.disabled = !newProtectedNameInput.value.trim();
+});
+
+importFollowingBtn.addEventListener('click', importFollowing);
+clearFollowingBtn.addEventListener('click', clearFollowing);
+
+// Subscriptions and the following list are updated by the background worker, the model by the popup
+// and the AI verdict cache by the x.com tab - keep them in sync
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local') return;
+    if (changes[STORAGE_KEY_RULE_PACKS]) {
+        setRulePacks(changes[STORAGE_KEY_RULE_PACKS].newValue || []);
+        renderRulePacks();
+    }
+    if (changes[STORAGE_KEY_CLASSIFIER_MODEL]) {
+        const model = changes[STORAGE_KEY_CLASSIFIER_MODEL].newValue;
+        classifierModel = isValidClassifierModel(model) ? model : null;
+        renderClassifier();
+    }
+    if (changes[AI_CACHE_STORAGE_KEY] || changes[AI_CACHE_STATS_STORAGE_KEY]) {
+        renderAICacheStats();
+    }
+    if (changes[STORAGE_KEY_FOLLOWED_ACCOUNTS]) {
+        followingImport = changes[STORAGE_KEY_FOLLOWED_ACCOUNTS].newValue || null;
+        setFollowedAccounts(followingImport?.accounts || []);
+        renderFollowingStatus();
+    }
 });
 
 resetBtn.addEventListener('click', resetToDefaults);
 
+Object.values(thresholdInputs).forEach(input => {
+    input.addEventListener('input', () => onThresholdInput(false));
+    input.addEventListener('change', () => onThresholdInput(true));
+});
+
+refreshPreviewBtn.addEventListener('click', refreshThresholdPreview);
+
+Object.values(accountWeightInputs).forEach(input => {
+    input.addEventListener('change', onAccountWeightChange);
+});
+
+categoryPolicyRows.addEventListener('change', onCategoryPolicyChange);
+
+classifierWeightInput.addEventListener('change', onClassifierWeightChange);
+exportClassifierBtn.addEventListener('click', exportClassifierModel);
+resetClassifierBtn.addEventListener('click', resetClassifierModel);
+
 autoLoadAllToggle.addEventListener('change', async () => {
     try {
         await chrome.storage.sync.set({
@@ -455,6 +1969,10 @@ autoLoadAllToggle.addEventListener('change', async () => {
     }
 });
 
+aiProviderSelect.addEventListener('change', onAIProviderChange);
+saveAIProviderBtn.addEventListener('click', saveOpenAICompatibleProvider);
+clearAICacheBtn.addEventListener('click', clearAIVerdictCache);
+
 aiScanningToggle.addEventListener('change', async () => {
     try {
         await chrome.storage.sync.set({
@@ -476,6 +1994,19 @@ async function checkAndDisplayAIStatus() {
     // Update indicator to "Checking" state
     aiStatusIndicator.textContent = 'Checking...';
     aiStatusIndicator.className = 'ai-status checking';
+    aiStatusIndicator.title = '';
+
+    // A server can be checked from here, through the background worker
+    if (getAIProviderSettings().provider !== 'chrome-builtin') {
+        const { status, message } = await checkAIAvailability();
+        const isAvailable = status === AI_STATUS.AVAILABLE;
+        aiStatusIndicator.textContent = isAvailable ? 'Connected ✓' : 'Not Available';
+        aiStatusIndicator.className = `ai-status ${isAvailable ? 'available' : 'unavailable'}`;
+        aiStatusIndicator.title = message;
+        showAIProviderError(isAvailable ? null : message);
+        aiScanningToggle.disabled = false;
+        return;
+    }
 
     try {
         // Get the language model API - try multiple entry points
@@ -540,5 +2071,9 @@ async function checkAndDisplayAIStatus() {
 document.addEventListener('DOMContentLoaded', () => {
     addUrlPatternBtn.disabled = true;
     addKeywordBtn.disabled = true;
+    addSafeDomainBtn.disabled = true;
+    addRegexRuleBtn.disabled = true;
+    addSubscriptionBtn.disabled = true;
+    addProtectedNameBtn.disabled = true;
     loadSettings();
 });
@@ -19,7 +19,12 @@
 // State
 let messageRequests = [];
 let selectedUsernames = new Set();
+let expandedUsernames = new Set();
+let notSpamUsernames = new Set();
 let isFilterActive = false;
+let categoryFilter = null; // Spam category shown, null for all
+let isApplyingPolicies = false;
+let aiPendingUsernames = new Set(); // Sent to the AI, results not back yet
 
 // DOM Elements
 const requestsList = document.getElementById('requestsList');
@@ -33,16 +38,29 @@ const selectionCount = document.getElementById('selectionCount');
 const reportBtn = document.getElementById('reportBtn');
 const blockBtn = document.getElementById('blockBtn');
 const sweepBtn = document.getElementById('sweepBtn');
+const applyPoliciesBtn = document.getElementById('applyPoliciesBtn');
 const menuBtn = document.getElementById('menuBtn');
 const deleteBtn = document.getElementById('deleteBtn');
 const submenu = document.getElementById('submenu');
 const refreshBtn = document.getElementById('refreshBtn');
 const resolveLinksBtn = document.getElementById('resolveLinksBtn');
 const filterToggleBtn = document.getElementById('filterToggleBtn');
+const categoryFilterBar = document.getElementById('categoryFilter');
 const loadAllBtn = document.getElementById('loadAllBtn');
 const goToRequestsBtn = document.getElementById('goToRequestsBtn');
 const statusBar = document.getElementById('status');
 
+// Short entity names for the chips under a message (full names are in ENTITY_LABELS)
+const ENTITY_CHIP_LABELS = {
+    phone: 'Phone',
+    telegram: 'Telegram',
+    wechat: 'WeChat',
+    btc: 'BTC',
+    eth: 'ETH',
+    tron: 'TRON',
+    sol: 'SOL'
+};
+
 /**
  * Show a specific state and hide others
  */
@@ -56,12 +74,14 @@ function showState(state) {
     switch (state) {
         case 'loading':
             loadingState.classList.remove('hidden');
+            categoryFilterBar.classList.add('hidden');
             break;
         case 'empty':
             emptyState.classList.remove('hidden');
             break;
         case 'error':
             errorState.classList.remove('hidden');
+            categoryFilterBar.classList.add('hidden');
             break;
         case 'list':
             requestsList.classList.remove('hidden');
@@ -82,14 +102,9 @@ function updateSelectionUI() {
     blockBtn.disabled = !hasSelection;
     sweepBtn.disabled = !hasSelection;
     menuBtn.disabled = !hasSelection;
+    updatePolicyButton();
 
-    // Get visible requests based on filter state (must match renderRequestsList filter)
-    const visibleRequests = isFilterActive
-        ? messageRequests.filter(req => {
-            const riskLevel = req.spamInfo?.riskLevel || 'safe';
-            return riskLevel === 'high' || riskLevel === 'medium';
-        })
-        : messageRequests;
+    const visibleRequests = getVisibleRequests();
 
     const visibleSelectedCount = visibleRequests.filter(req =>
         selectedUsernames.has(req.username)
@@ -121,6 +136,29 @@ function toggleSelection(username) {
     updateRequestItemUI(username);
 }
 
+/**
+ * Select every request in a cluster, or deselect them if all are already selected
+ * @param {number} clusterId - Cluster id from clusterMessageRequests
+ */
+function toggleClusterSelection(clusterId) {
+    const members = messageRequests.filter(req => req.cluster?.id === clusterId);
+    const allSelected = members.every(req => selectedUsernames.has(req.username));
+
+    members.forEach(req => {
+        if (allSelected) {
+            selectedUsernames.delete(req.username);
+        } else {
+            selectedUsernames.add(req.username);
+        }
+        updateRequestItemUI(req.username);
+    });
+    updateSelectionUI();
+
+    setStatus(allSelected
+        ? `Deselected ${members.length} similar messages`
+        : `Selected ${members.length} similar messages`);
+}
+
 /**
  * Update the UI for a specific request item
  */
@@ -138,13 +176,7 @@ function updateRequestItemUI(username) {
  * Select or deselect all requests (respects current filter)
  */
 function toggleSelectAll() {
-    // Get only the visible requests based on filter state (must match renderRequestsList filter)
-    const visibleRequests = isFilterActive
-        ? messageRequests.filter(req => {
-            const riskLevel = req.spamInfo?.riskLevel || 'safe';
-            return riskLevel === 'high' || riskLevel === 'medium';
-        })
-        : messageRequests;
+    const visibleRequests = getVisibleRequests();
 
     const allVisibleSelected = visibleRequests.every(req => selectedUsernames.has(req.username));
 
@@ -161,6 +193,162 @@ function toggleSelectAll() {
     messageRequests.forEach(req => updateRequestItemUI(req.username));
 }
 
+/**
+ * Escape text and wrap the given spans in <mark> tags
+ * @param {string} text - Text to render
+ * @param {Array<{start: number, end: number}>} spans - Ranges to highlight (may overlap)
+ * @returns {string} HTML string
+ */
+function highlightSpans(text, spans) {
+    const sorted = [...spans]
+        .filter(span => span.end > span.start)
+        .sort((a, b) => a.start - b.start);
+
+    // Merge overlapping ranges so marks never nest
+    const merged = [];
+    for (const span of sorted) {
+        const last = merged[merged.length - 1];
+        if (last && span.start <= last.end) {
+            last.end = Math.max(last.end, span.end);
+        } else {
+            merged.push({ start: span.start, end: span.end });
+        }
+    }
+
+    let html = '';
+    let position = 0;
+    for (const span of merged) {
+        html += escapeHtml(text.slice(position, span.start));
+        html += `<mark>${escapeHtml(text.slice(span.start, span.end))}</mark>`;
+        position = span.end;
+    }
+    return html + escapeHtml(text.slice(position));
+}
+
+/**
+ * Create HTML chips for the phone numbers, messenger IDs and wallets found in a request
+ * @param {Array<{type: string, value: string}>} entities - spamInfo.entities from getSpamInfo
+ * @returns {string} HTML string, empty when nothing was found
+ */
+function createEntitiesHtml(entities) {
+    if (!entities?.length) return '';
+
+    const seen = new Set();
+    const chips = entities.filter(entity => {
+        const key = `${entity.type}:${entity.value}`;
+        return !seen.has(key) && seen.add(key);
+    }).map(entity => {
+        // Wallet addresses are too long for the popup - keep both ends, which is what people compare
+        const shown = entity.value.length > 16
+            ? `${entity.value.slice(0, 6)}…${entity.value.slice(-5)}`
+            : entity.value;
+        return `<span class="entity-chip entity-${entity.type}" title="${escapeHtml(`${ENTITY_LABELS[entity.type]}: ${entity.value}`)}">
+          <span class="entity-type">${ENTITY_CHIP_LABELS[entity.type]}</span>${escapeHtml(shown)}
+        </span>`;
+    });
+
+    return `<div class="request-entities">${chips.join('')}</div>`;
+}
+
+/**
+ * Create HTML for the per-signal score breakdown of a request
+ * @param {Object} explanation - spamInfo.explanation from getSpamInfo
+ * @returns {string} HTML string
+ */
+function createExplanationHtml(explanation) {
+    const rows = explanation.signals.map(signal => {
+        const scoreText = signal.score > 0 ? `+${signal.score}` : `${signal.score}`;
+        const matchedText = signal.spans
+            .map(span => explanation.text.slice(span.start, span.end))
+            .filter(Boolean)
+            .slice(0, 3)
+            .map(text => `<span class="signal-match">${escapeHtml(text)}</span>`)
+            .join(' ');
+
+        return `<li class="signal signal-${signal.type}">
+          <span class="signal-score${signal.score < 0 ? ' negative' : ''}">${scoreText}</span>
+          <span class="signal-label">${escapeHtml(signal.label)}</span>
+          ${matchedText}
+        </li>`;
+    });
+
+    return `<ul class="signal-list">${rows.join('')}</ul>`;
+}
+
+/**
+ * Get the text a request was scored on (resolved links replace "Sent a link")
+ * @param {Object} request - Message request
+ * @returns {string}
+ */
+function getAnalyzedText(request) {
+    return request.spamInfo?.explanation?.text ?? request.messagePreview ?? '';
+}
+
+/**
+ * Check if a request has text the classifier can learn from
+ * @param {Object} request - Message request
+ * @returns {boolean}
+ */
+function canTrainClassifierOn(request) {
+    return !request.spamInfo?.isHiddenLink && !isMediaPlaceholder(getAnalyzedText(request));
+}
+
+/**
+ * Add labelled requests to the local classifier model
+ * Reads the stored model first so feedback from other popups is never lost
+ * @param {Array<Object>} requests - Message requests
+ * @param {string} label - 'spam' or 'ham'
+ * @returns {Promise<number>} Number of requests that changed the model
+ */
+async function recordClassifierFeedback(requests, label) {
+    try {
+        const { classifierModel: stored } = await chrome.storage.local.get(['classifierModel']);
+        const model = isValidClassifierModel(stored) ? stored : createClassifierModel();
+
+        let trained = 0;
+        for (const request of requests) {
+            const text = getAnalyzedText(request);
+            if (trainClassifier(model, getClassifierExampleId(request.username, text), text, label)) {
+                trained++;
+            }
+        }
+
+        if (trained > 0) {
+            await chrome.storage.local.set({ classifierModel: model });
+            classifierModel = model;
+            console.log(`XSpamSweeper: Trained classifier on ${trained} ${label} example${trained !== 1 ? 's' : ''}`);
+        }
+        return trained;
+    } catch (error) {
+        console.error('XSpamSweeper: Could not save classifier feedback', error);
+        return 0;
+    }
+}
+
+/**
+ * Mark a request as not spam and learn from it
+ */
+async function markNotSpam(request) {
+    if (notSpamUsernames.has(request.username)) return;
+
+    const trained = await recordClassifierFeedback([request], 'ham');
+    notSpamUsernames.add(request.username);
+    selectedUsernames.delete(request.username);
+
+    const button = document.querySelector(`[data-username="${request.username}"] .not-spam-btn`);
+    if (button) {
+        button.classList.add('marked');
+        button.disabled = true;
+        button.title = 'Marked as not spam';
+    }
+    updateSelectionUI();
+    updateRequestItemUI(request.username);
+
+    setStatus(trained > 0
+        ? `Marked @${request.username} as not spam`
+        : `Nothing new to learn from @${request.username}`, trained > 0 ? 'success' : '');
+}
+
 /**
  * Create HTML for a request item
  */
@@ -169,12 +357,14 @@ function createRequestItem(request) {
     const spamInfo = request.spamInfo || { riskLevel: 'safe', score: 0, isHiddenLink: false };
     const riskLevel = spamInfo.riskLevel || 'safe';
 
+    const isExpanded = expandedUsernames.has(request.username);
+
     const item = document.createElement('div');
-    item.className = `request-item spam-${riskLevel}${isSelected ? ' selected' : ''}`;
+    item.className = `request-item spam-${riskLevel}${isSelected ? ' selected' : ''}${isExpanded ? ' expanded' : ''}`;
     item.dataset.username = request.username;
 
     // Create spam badge HTML based on risk level
-    const maxScore = 30;
+    const maxScore = riskThresholds.maxScore;
     let spamBadgeHtml = '';
     if (riskLevel === 'high') {
         spamBadgeHtml = `<span class="spam-badge high" title="High spam risk: ${spamInfo.score}/${maxScore}">
@@ -191,6 +381,21 @@ function createRequestItem(request) {
         spamBadgeHtml = `<span class="spam-badge low" title="${title}">?</span>`;
     }
 
+    // Look-alike of a protected name or an account the user follows
+    if (spamInfo.impersonation) {
+        spamBadgeHtml += `<span class="spam-badge impersonation" title="${escapeHtml(spamInfo.impersonation.reason)}">Impersonator</span>`;
+    }
+
+    // Kind of spam, from the categorized keywords, regexes and links
+    const category = getRequestCategory(request);
+    if (category) {
+        const subscores = Object.entries(spamInfo.categoryMatch.scores)
+            .filter(([, score]) => score > 0)
+            .map(([name, score]) => `${name}: ${score}`)
+            .join(', ');
+        spamBadgeHtml += `<span class="category-chip category-${category.toLowerCase()}" title="${escapeHtml(subscores)}">${category}</span>`;
+    }
+
     // AI verdict indicator (if AI was used)
     if (spamInfo.aiReason) {
         spamBadgeHtml += `<span class="spam-badge ai" title="${escapeHtml(spamInfo.aiReason)}">
@@ -199,6 +404,39 @@ function createRequestItem(request) {
         </span>`;
     }
 
+    // Score breakdown (only the spans of the analyzed text can be highlighted in the preview)
+    const explanation = spamInfo.explanation;
+    const hasExplanation = explanation?.signals?.length > 0;
+    const messageHtml = hasExplanation && explanation.text === request.messagePreview
+        ? highlightSpans(request.messagePreview, explanation.signals.flatMap(signal => signal.spans))
+        : escapeHtml(request.messagePreview);
+
+    let detailsBtnHtml = '';
+    let detailsHtml = '';
+    if (hasExplanation) {
+        detailsBtnHtml = `<button class="details-btn" title="Why this score?" aria-label="Why this score?">
+          <svg viewBox="0 0 24 24" fill="currentColor"><path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm1 15h-2v-6h2v6zm0-8h-2V7h2v2z"/></svg>
+        </button>`;
+        detailsHtml = `<div class="request-details">${createExplanationHtml(explanation)}</div>`;
+    }
+
+    // Campaign badge - click to select every message in the cluster
+    let clusterBadgeHtml = '';
+    if (request.cluster) {
+        clusterBadgeHtml = `<button class="cluster-badge" title="${request.cluster.size} near-identical messages from different accounts - click to select all">
+          ${request.cluster.size} similar
+        </button>`;
+    }
+
+    // "Not spam" feedback trains the local classifier
+    let notSpamBtnHtml = '';
+    if (canTrainClassifierOn(request)) {
+        const isMarked = notSpamUsernames.has(request.username);
+        notSpamBtnHtml = `<button class="not-spam-btn${isMarked ? ' marked' : ''}" title="${isMarked ? 'Marked as not spam' : 'Not spam'}" aria-label="Not spam"${isMarked ? ' disabled' : ''}>
+          <svg viewBox="0 0 24 24" fill="currentColor"><path d="M9 16.17 4.83 12l-1.42 1.41L9 19 21 7l-1.41-1.41z"/></svg>
+        </button>`;
+    }
+
     // Hidden link indicator
     let hiddenLinkHtml = '';
     if (spamInfo.isHiddenLink) {
@@ -226,19 +464,37 @@ function createRequestItem(request) {
         <span class="request-name">${escapeHtml(request.displayName)}</span>
         <span class="request-username">@${escapeHtml(request.username)}</span>
         ${spamBadgeHtml}
+        ${clusterBadgeHtml}
+        ${detailsBtnHtml}
+        ${notSpamBtnHtml}
         <span class="request-date">${escapeHtml(request.date)}</span>
       </div>
-      <div class="request-message"><span class="request-message-text">${escapeHtml(request.messagePreview)}</span>${hiddenLinkHtml}</div>
+      <div class="request-message"><span class="request-message-text">${messageHtml}</span>${hiddenLinkHtml}</div>
+      ${createEntitiesHtml(spamInfo.entities)}
+      ${detailsHtml}
     </div>
   `;
 
-    // Handle click on the item (but not directly on checkbox)
+    // Handle click on the item (but not directly on checkbox or the score breakdown)
     item.addEventListener('click', (e) => {
-        if (!e.target.closest('.checkbox-wrapper')) {
+        if (!e.target.closest('.checkbox-wrapper, .cluster-badge, .details-btn, .not-spam-btn, .request-details')) {
             toggleSelection(request.username);
         }
     });
 
+    // Toggle score breakdown and highlighted preview
+    item.querySelector('.details-btn')?.addEventListener('click', () => {
+        if (expandedUsernames.has(request.username)) {
+            expandedUsernames.delete(request.username);
+        } else {
+            expandedUsernames.add(request.username);
+        }
+        item.classList.toggle('expanded', expandedUsernames.has(request.username));
+    });
+
+    item.querySelector('.cluster-badge')?.addEventListener('click', () => toggleClusterSelection(request.cluster.id));
+    item.querySelector('.not-spam-btn')?.addEventListener('click', () => markNotSpam(request));
+
     // Handle checkbox change
     const checkbox = item.querySelector('input[type="checkbox"]');
     checkbox.addEventListener('change', () => {
@@ -248,6 +504,66 @@ function createRequestItem(request) {
     return item;
 }
 
+/**
+ * Get the spam category of a request, if it has a risk badge to go with it
+ * @param {Object} request - Message request
+ * @returns {string|null} One of SPAM_CATEGORIES
+ */
+function getRequestCategory(request) {
+    const riskLevel = request.spamInfo?.riskLevel || 'safe';
+    return riskLevel === 'safe' ? null : request.spamInfo?.categoryMatch?.dominant || null;
+}
+
+/**
+ * Get the requests the list shows: suspicious ones while the spam filter is on,
+ * and only the selected category while one is picked
+ * @returns {Array} Message requests
+ */
+function getVisibleRequests() {
+    return messageRequests.filter(req => {
+        if (isFilterActive) {
+            const riskLevel = req.spamInfo?.riskLevel || 'safe';
+            if (riskLevel !== 'high' && riskLevel !== 'medium') return false;
+        }
+        return !categoryFilter || getRequestCategory(req) === categoryFilter;
+    });
+}
+
+/**
+ * Render the category filter chips for the categories found in the requests
+ */
+function renderCategoryFilter() {
+    const counts = {};
+    messageRequests.forEach(req => {
+        const category = getRequestCategory(req);
+        if (category) counts[category] = (counts[category] || 0) + 1;
+    });
+    const categories = SPAM_CATEGORIES.filter(category => counts[category]);
+
+    // The picked category may be gone after a sweep or refresh
+    if (categoryFilter && !counts[categoryFilter]) categoryFilter = null;
+
+    categoryFilterBar.classList.toggle('hidden', categories.length === 0);
+    categoryFilterBar.innerHTML = [null, ...categories].map(category => `
+        <button class="category-filter-btn${category === categoryFilter ? ' active' : ''}" data-category="${category || ''}">
+          ${category ? `${category} <span class="category-count">${counts[category]}</span>` : 'All'}
+        </button>`).join('');
+}
+
+/**
+ * Show only the requests of one category, or all of them
+ * @param {string|null} category - One of SPAM_CATEGORIES, null for all
+ */
+function setCategoryFilter(category) {
+    categoryFilter = category;
+    renderRequestsList();
+
+    const count = getVisibleRequests().length;
+    setStatus(category
+        ? `Showing ${count} ${category} message${count !== 1 ? 's' : ''}`
+        : `Showing all ${count} message${count !== 1 ? 's' : ''}`);
+}
+
 /**
  * Render the requests list
  */
@@ -255,17 +571,14 @@ function renderRequestsList() {
     requestsList.innerHTML = '';
 
     if (messageRequests.length === 0) {
+        categoryFilterBar.classList.add('hidden');
         showState('empty');
         return;
     }
 
-    // Filter requests based on filter toggle
-    const requestsToShow = isFilterActive
-        ? messageRequests.filter(req => {
-            const riskLevel = req.spamInfo?.riskLevel || 'safe';
-            return riskLevel === 'high' || riskLevel === 'medium';
-        })
-        : messageRequests;
+    // Filter requests based on filter toggle and category
+    renderCategoryFilter();
+    const requestsToShow = getVisibleRequests();
 
     if (requestsToShow.length === 0) {
         // Show empty state with filter-specific message
@@ -372,7 +685,7 @@ async function fetchMessageRequests() {
                     // We have resolved links for this user - reanalyze spam
                     const linksText = resolved.links.join(' ');
                     const updatedSpamInfo = typeof getSpamInfo === 'function'
-                        ? getSpamInfo(linksText)
+                        ? getSpamInfo(linksText, req)
                         : req.spamInfo;
 
                     console.log(`XSpamSweeper: Re-analyzed @${req.username} with resolved links:`, {
@@ -416,6 +729,9 @@ async function fetchMessageRequests() {
             console.log('XSpamSweeper: Could not load resolved links', e);
         }
 
+        // Near-identical messages from many senders are a campaign (after links are resolved)
+        messageRequests = clusterMessageRequests(messageRequests);
+
         renderRequestsList();
 
         if (messageRequests.length > 0) {
@@ -432,8 +748,8 @@ async function fetchMessageRequests() {
 }
 
 /**
- * Run AI analysis on messages in the SUS zone (score 5-19)
- * This is async and updates the UI as results come in
+ * Run AI analysis on messages in the SUS zone (see riskThresholds.aiMin / high)
+ * This is async and updates the UI as each batch of results comes in
  */
 async function runAIAnalysis(tabId) {
     // Check if AI is enabled in settings
@@ -448,14 +764,9 @@ async function runAIAnalysis(tabId) {
         return;
     }
 
-    // Find messages in SUS zone (score 5-19, not hidden links)
-    const susMessages = messageRequests.filter(req => {
-        const score = req.spamInfo?.score || 0;
-        const isHidden = req.spamInfo?.isHiddenLink;
-        const riskLevel = req.spamInfo?.riskLevel;
-        // SUS zone: score 5-19, not already HIGH, not hidden link
-        return score >= 5 && score < 20 && riskLevel !== 'high' && !isHidden;
-    });
+    // Find messages in SUS zone (not already HIGH, not hidden links) that an earlier run isn't analyzing yet
+    const susMessages = messageRequests.filter(req =>
+        isInAIReviewZone(req.spamInfo) && !aiPendingUsernames.has(req.username));
 
     if (susMessages.length === 0) {
         console.log('XSpamSweeper: No messages in SUS zone for AI analysis');
@@ -465,37 +776,60 @@ async function runAIAnalysis(tabId) {
     console.log(`XSpamSweeper: Running AI analysis on ${susMessages.length} SUS zone messages`);
     setStatus(`AI analyzing ${susMessages.length} suspicious message${susMessages.length !== 1 ? 's' : ''}...`);
 
-    let processedCount = 0;
-
-    for (const msg of susMessages) {
-        try {
-            const response = await chrome.tabs.sendMessage(tabId, {
-                action: 'analyzeWithAI',
+    // Several messages go into each prompt; applyAIResults shows each batch as it finishes
+    susMessages.forEach(msg => aiPendingUsernames.add(msg.username));
+    let results = [];
+    try {
+        const response = await chrome.tabs.sendMessage(tabId, {
+            action: 'analyzeBatchWithAI',
+            requests: susMessages.map(msg => ({
                 username: msg.username,
+                displayName: msg.displayName,
                 text: msg.messagePreview
-            });
-
-            if (response?.success && response.spamInfo) {
-                // Update the message request with AI result
-                const idx = messageRequests.findIndex(r => r.username === msg.username);
-                if (idx !== -1) {
-                    messageRequests[idx].spamInfo = response.spamInfo;
-                    console.log(`XSpamSweeper: AI updated @${msg.username}:`, response.spamInfo);
-                }
-                processedCount++;
-            }
-        } catch (e) {
-            console.warn(`XSpamSweeper: AI analysis failed for @${msg.username}:`, e);
+            }))
+        });
+        if (response?.success) {
+            results = response.results || [];
+        } else {
+            console.warn('XSpamSweeper: AI analysis failed:', response?.error);
         }
+    } catch (e) {
+        console.warn('XSpamSweeper: AI analysis failed:', e);
     }
 
-    // Re-render if any were updated
+    // Count from the results themselves rather than from aiBatchResult messages, which may arrive after this
+    applyAIResults(results);
+    const runUsernames = new Set(susMessages.map(msg => msg.username));
+    const processedCount = results.filter(result => result.spamInfo && runUsernames.has(result.username)).length;
+    susMessages.forEach(msg => aiPendingUsernames.delete(msg.username));
     if (processedCount > 0) {
-        renderRequestsList();
         setStatus(`AI analyzed ${processedCount} message${processedCount !== 1 ? 's' : ''}`, 'success');
     }
 }
 
+/**
+ * Update the list with AI results from the content script (one aiBatchResult message per batch)
+ * @param {Array<{username: string, spamInfo: Object}>} results
+ */
+function applyAIResults(results) {
+    let updatedCount = 0;
+    for (const { username, spamInfo } of results) {
+        aiPendingUsernames.delete(username);
+        const req = messageRequests.find(r => r.username === username);
+        if (!req || !spamInfo) continue;
+
+        req.spamInfo = req.cluster ? addClusterSignal(spamInfo, req.cluster.size) : spamInfo;
+        console.log(`XSpamSweeper: AI updated @${username}:`, spamInfo);
+        updatedCount++;
+    }
+
+    if (updatedCount === 0) return;
+    renderRequestsList();
+    if (aiPendingUsernames.size > 0) {
+        setStatus(`AI analyzing ${aiPendingUsernames.size} more message${aiPendingUsernames.size !== 1 ? 's' : ''}...`);
+    }
+}
+
 /**
  * Show error state
  */
@@ -601,6 +935,7 @@ async function performBatchAction(actionType, actionMessage) {
     }
 
     // Disable buttons during processing
+    applyPoliciesBtn.disabled = true;
     sweepBtn.disabled = true;
     menuBtn.disabled = true;
     reportBtn.disabled = true;
@@ -609,6 +944,7 @@ async function performBatchAction(actionType, actionMessage) {
 
     let successCount = 0;
     let errorCount = 0;
+    const handledRequests = [];
 
     for (let i = 0; i < selected.length; i++) {
         const username = selected[i];
@@ -626,6 +962,7 @@ async function performBatchAction(actionType, actionMessage) {
 
             if (response?.success) {
                 successCount++;
+                handledRequests.push(messageRequests.find(req => req.username === username));
                 // Remove from selection and list on success
                 selectedUsernames.delete(username);
                 const item = document.querySelector(`[data-username="${username}"]`);
@@ -647,6 +984,12 @@ async function performBatchAction(actionType, actionMessage) {
         }
     }
 
+    // Every handled request is a spam example for the local classifier - except when a policy
+    // picked them, which would teach the classifier its own verdicts
+    if (handledRequests.length > 0 && !isApplyingPolicies) {
+        await recordClassifierFeedback(handledRequests.filter(req => req && canTrainClassifierOn(req)), 'spam');
+    }
+
     // Re-enable buttons
     updateSelectionUI();
 
@@ -688,6 +1031,79 @@ reportBtn.addEventListener('click', async () => {
     await performBatchAction('report', 'Reporting');
 });
 
+const POLICY_ACTION_MESSAGES = {
+    report: 'Reporting',
+    block: 'Blocking',
+    delete: 'Deleting',
+    sweep: 'Sweeping'
+};
+
+/**
+ * Group the requests by the action their category policy takes
+ * Requests marked "Not spam" are left alone
+ * @returns {Map<string, string[]>} Action to usernames, in POLICY_ACTIONS order
+ */
+function getPolicyGroups() {
+    const groups = new Map();
+    POLICY_ACTIONS.filter(action => action !== 'none').forEach(action => groups.set(action, []));
+
+    messageRequests.forEach(req => {
+        if (notSpamUsernames.has(req.username)) return;
+        const action = getPolicyAction(req.spamInfo, req.username);
+        if (action !== 'none') groups.get(action).push(req.username);
+    });
+
+    for (const [action, usernames] of groups) {
+        if (usernames.length === 0) groups.delete(action);
+    }
+    return groups;
+}
+
+/**
+ * Enable the "Apply policies" button when a policy matches a request, and list what it would do
+ */
+function updatePolicyButton() {
+    const groups = getPolicyGroups();
+    applyPoliciesBtn.disabled = isApplyingPolicies || groups.size === 0;
+    applyPoliciesBtn.title = groups.size === 0
+        ? (hasActivePolicies() ? 'No requests match a category policy' : 'Set up category policies in Settings')
+        : `Apply policies: ${Array.from(groups, ([action, usernames]) => `${action} ${usernames.length}`).join(', ')}`;
+}
+
+/**
+ * Run the category policies: select each action's requests in turn and perform the action on them
+ * The user's own selection is restored afterwards, without the requests a policy handled
+ */
+async function applyPolicies() {
+    const groups = getPolicyGroups();
+    if (groups.size === 0) return;
+
+    const userSelection = Array.from(selectedUsernames);
+    const handled = new Set();
+    isApplyingPolicies = true;
+    try {
+        for (const [action, usernames] of groups) {
+            const previous = Array.from(selectedUsernames);
+            selectedUsernames.clear();
+            usernames.forEach(username => selectedUsernames.add(username));
+            [...previous, ...usernames].forEach(updateRequestItemUI);
+            updateSelectionUI();
+
+            await performBatchAction(action, POLICY_ACTION_MESSAGES[action]);
+            usernames.filter(username => !selectedUsernames.has(username)).forEach(username => handled.add(username));
+        }
+    } finally {
+        isApplyingPolicies = false;
+        const previous = Array.from(selectedUsernames);
+        selectedUsernames.clear();
+        userSelection.filter(username => !handled.has(username)).forEach(username => selectedUsernames.add(username));
+        [...previous, ...userSelection].forEach(updateRequestItemUI);
+        updateSelectionUI();
+    }
+}
+
+applyPoliciesBtn.addEventListener('click', applyPolicies);
+
 /**
  * Toggle spam filter mode
  */
@@ -766,6 +1182,10 @@ async function loadFilterPreference() {
 }
 
 filterToggleBtn?.addEventListener('click', toggleFilter);
+categoryFilterBar.addEventListener('click', (e) => {
+    const btn = e.target.closest('.category-filter-btn');
+    if (btn) setCategoryFilter(btn.dataset.category || null);
+});
 
 /**
  * Load all messages by scrolling the page
@@ -813,6 +1233,10 @@ chrome.runtime.onMessage.addListener((request, _sender, _sendResponse) => {
         }
     }
 
+    if (request.action === 'aiBatchResult') {
+        applyAIResults(request.results || []);
+    }
+
     if (request.action === 'linkResolved') {
         console.log(`XSpamSweeper Popup: Link resolved for @${request.username}:`, request.result);
         setStatus(`Resolved @${request.username}: ${request.result?.links?.length || 0} links found`);
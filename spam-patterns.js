@@ -27,6 +27,52 @@ var customUrlPatterns = customUrlPatterns || [];
 // eslint-disable-next-line no-var
 var customKeywords = customKeywords || {};
 
+// eslint-disable-next-line no-var
+var customRegexRules = customRegexRules || [];
+// User allowlist additions, and built-in safe domains the user switched off
+// eslint-disable-next-line no-var
+var customSafeDomains = customSafeDomains || [];
+// eslint-disable-next-line no-var
+var disabledSafeDomains = disabledSafeDomains || [];
+
+// Language packs the user switched off (codes from LANGUAGE_NAMES)
+// eslint-disable-next-line no-var
+var disabledLanguages = disabledLanguages || [];
+
+// Categories the user tagged custom entries with: {keyword: category} and {urlPattern: category}
+// eslint-disable-next-line no-var
+var customKeywordCategories = customKeywordCategories || {};
+// eslint-disable-next-line no-var
+var customUrlCategories = customUrlCategories || {};
+
+// Imported rule packs from chrome.storage.local: [{pack, enabled, importedAt, source}]
+// eslint-disable-next-line no-var
+var rulePacks = rulePacks || [];
+
+// Compiled keyword matcher, built lazily and reset when custom or rule-pack keywords change
+// eslint-disable-next-line no-var
+var _keywordMatcher = null;
+
+// Compiled custom and rule-pack regex rules, built lazily and reset when the rules change
+// eslint-disable-next-line no-var
+var _customRegexes = null;
+
+/**
+ * Default risk thresholds (user-configurable in the options page)
+ * high/medium/low: minimum score for each risk level, maxScore: score ceiling,
+ * aiMin: lowest score sent to AI review - the AI "SUS zone" runs from aiMin up to high
+ */
+const DEFAULT_RISK_THRESHOLDS = {
+    high: 20,
+    medium: 10,
+    low: 3,
+    maxScore: 30,
+    aiMin: 5
+};
+
+// eslint-disable-next-line no-var
+var riskThresholds = riskThresholds || { ...DEFAULT_RISK_THRESHOLDS };
+
 /**
  * Initialize custom patterns from storage
  * Call this before first use in content scripts
@@ -34,12 +80,55 @@ var customKeywords = customKeywords || {};
 async function initCustomPatterns() {
     try {
         if (typeof chrome !== 'undefined' && chrome.storage) {
-            const result = await chrome.storage.sync.get(['customUrlPatterns', 'customKeywords']);
+            const result = await chrome.storage.sync.get([
+                'customUrlPatterns', 'customKeywords', 'customRegexRules',
+                'customSafeDomains', 'disabledSafeDomains', 'riskThresholds', 'classifierWeight',
+                'accountSignalWeights', 'protectedNames', 'disabledLanguages',
+                'customKeywordCategories', 'customUrlCategories', 'categoryPolicies'
+            ]);
             customUrlPatterns = result.customUrlPatterns || [];
-            customKeywords = result.customKeywords || {};
+            customSafeDomains = result.customSafeDomains || [];
+            disabledSafeDomains = result.disabledSafeDomains || [];
+            disabledLanguages = result.disabledLanguages || [];
+            customKeywordCategories = result.customKeywordCategories || {};
+            customUrlCategories = result.customUrlCategories || {};
+
+            const thresholdCheck = validateRiskThresholds(result.riskThresholds);
+            riskThresholds = thresholdCheck.error ? { ...DEFAULT_RISK_THRESHOLDS } : thresholdCheck.thresholds;
+            classifierWeight = validateClassifierWeight(result.classifierWeight);
+
+            const accountCheck = validateAccountSignalWeights(result.accountSignalWeights);
+            accountSignalWeights = accountCheck.error ? { ...DEFAULT_ACCOUNT_SIGNAL_WEIGHTS } : accountCheck.weights;
+            setProtectedNames(result.protectedNames || []);
+
+            const policyCheck = validateCategoryPolicies(result.categoryPolicies);
+            categoryPolicies = policyCheck.error ? getDefaultCategoryPolicies() : policyCheck.policies;
+
+            // Only rebuild the keyword matcher when the keywords actually changed
+            const loadedKeywords = result.customKeywords || {};
+            if (JSON.stringify(loadedKeywords) !== JSON.stringify(customKeywords)) {
+                customKeywords = loadedKeywords;
+                _keywordMatcher = null;
+            }
+
+            const loadedRegexRules = result.customRegexRules || [];
+            if (JSON.stringify(loadedRegexRules) !== JSON.stringify(customRegexRules)) {
+                customRegexRules = loadedRegexRules;
+                _customRegexes = null;
+            }
+
+            // Rule packs and the learned model can be large, so they live in local storage
+            const local = await chrome.storage.local.get(['rulePacks', 'classifierModel', 'followedAccounts']);
+            setRulePacks(local.rulePacks || []);
+            setFollowedAccounts(local.followedAccounts?.accounts || []);
+            classifierModel = isValidClassifierModel(local.classifierModel) ? local.classifierModel : null;
+
             console.log('XSpamSweeper: Loaded custom patterns:',
                 customUrlPatterns.length, 'URLs,',
-                Object.keys(customKeywords).length, 'keywords');
+                Object.keys(customKeywords).length, 'keywords,',
+                customRegexRules.length, 'regex rules,',
+                customSafeDomains.length, 'safe domains,',
+                getEnabledRulePacks().length, 'rule packs');
             console.log('XSpamSweeper: Custom keywords:', customKeywords);
         }
     } catch (e) {
@@ -47,528 +136,3649 @@ async function initCustomPatterns() {
     }
 }
 
-// Auto-init if in extension context
-if (typeof chrome !== 'undefined' && chrome.storage) {
-    initCustomPatterns();
+// Auto-init if in extension context
+if (typeof chrome !== 'undefined' && chrome.storage) {
+    initCustomPatterns();
+}
+
+// =============================================================================
+// URL PATTERNS - Domains that indicate spam/scam
+// =============================================================================
+
+/**
+ * High-risk domains (instant red flag), grouped by spam category
+ * Off-platform redirects are the primary indicator of spam/scam DMs
+ * Entries match the hostname and all its subdomains; an optional path must prefix the URL path
+ */
+const HIGH_RISK_DOMAINS_BY_CATEGORY = {
+    Redirect: [
+        'api.whatsapp.com',       // WhatsApp API links
+        'biolnk.at',
+        'carrd.co',
+        'chat.whatsapp.com',      // WhatsApp groups
+        'direct.me',
+        'lnk.bio',
+        'msha.ke',
+        'socialtap.me',
+        't.me',                   // Telegram
+        'taplink.cc',
+        'telegram.me',            // Telegram alternative
+        'telegram.org',
+        'wa.me',                  // WhatsApp shortlinks
+    ],
+    Adult: [
+        'admireme.vip',
+        'adulttime.com',
+        'b1anca.com',             // Aggressive Model
+        'fancentro.com',
+        'fans.ly',
+        'fansly.com',
+        'fanvue.com',
+        'iwantclips.com',
+        'justfor.fans',
+        'loyalfans.com',
+        'maloum.com',
+        'manyvids.com',
+        'my.club',
+        'my69private.site',
+        'mym.fans',
+        'onlyfans.com',
+        'onsx.fun',
+        'sextpanther.com',
+        'slushy.com',
+        'throne.com',
+    ],
+    Phishing: [
+        'revoke.cash',
+    ],
+};
+const HIGH_RISK_DOMAINS = Object.values(HIGH_RISK_DOMAINS_BY_CATEGORY).flat();
+
+/**
+ * High-risk hostname patterns - crypto brand look-alikes and fake dapp domains
+ * Tested against hostnames only, so "trust me" or "my wallet" in the message text doesn't match
+ * Each entry: [regex, category]
+ */
+const HIGH_RISK_HOSTNAME_PATTERNS = [
+    [/([01]inance|c[0o]inbase|met[a4]m[a4]sk|w[a4]llet)/i, 'Phishing'],  // trustwallet, walletconnect, c0inbase...
+    [/(^|[.-])(binance|claim|coinbase|dapp|metamask|pancakeswap|phantom|uniswap)-/i, 'Phishing'], // Fake exchange/dapp domains
+];
+
+/**
+ * Medium-risk domains (suspicious, needs review), grouped by spam category
+ * Generic shorteners, link-in-bio pages and invite links
+ */
+const MEDIUM_RISK_DOMAINS_BY_CATEGORY = {
+    Redirect: [
+        'adf.ly',
+        'allmylinks.com',
+        'allmysocial.me',
+        'beacons.ai',
+        'bio.link',
+        'bio.site',
+        'bit.do',
+        'bit.ly',
+        'bl.ink',
+        'buff.ly',
+        'claimmysocial.com',
+        'clck.ru',
+        'cli.re',
+        'curiouscat.qa',
+        'cutt.ly',
+        'discord.com/invite',
+        'discord.gg',
+        'dub.sh',
+        'etmysocial.me',
+        'feedlink.io',
+        'flow.page',
+        'getmysocial.click',
+        'getmysocial.com',
+        'getmysocial.ink',
+        'getmysocial.net',
+        'getmysociale.com',
+        'getmysocials.me',
+        'getmysocials.net',
+        'gg.gg',
+        'gmscl.com',
+        'gmysocial.com',
+        'goo.by',
+        'goo.gl',
+        'heyl.ink',
+        'hypel.ink',
+        'is.gd',
+        'joy.link',
+        'justallmy.link',
+        'line.me',
+        'linktr.ee',
+        'lit.link',
+        'lnk.to',
+        'mybios.io',
+        'ngl.link',
+        'ow.ly',
+        'rb.gy',
+        'rebrand.ly',
+        's.id',
+        'shor.by',
+        'shorte.st',
+        'shorturl.at',
+        'short.gy',
+        'signal.group',
+        'sleek.bio',
+        'snapchat.com/add',
+        'snip.ly',
+        'solo.to',
+        'start.page',
+        't.ly',
+        'tapfor.social',
+        'tapforallmylinks.com',
+        'tapformy.social',
+        'tellonym.me',
+        'thisismy.social',
+        'tiny.cc',
+        'tinyurl.com',
+        'touchmy.social',
+        'unlockmysocial.com',
+        'url.bio',
+        'v.gd',
+        'wa.link',
+        'wlo.link',
+        'znap.link',
+    ],
+    Adult: [
+        'onlysites.co',
+    ],
+};
+const MEDIUM_RISK_DOMAINS = Object.values(MEDIUM_RISK_DOMAINS_BY_CATEGORY).flat();
+
+/**
+ * Medium-risk URL paths - campaign pages on any domain
+ * Each entry: [regex, category]
+ */
+const MEDIUM_RISK_PATH_PATTERNS = [
+    [/\/airdrop/i, 'Crypto'],
+    [/\/crypto/i, 'Crypto'],
+    [/\/giveaway/i, 'Crypto'],
+    [/\/investment/i, 'Crypto'],
+    [/\/trading/i, 'Crypto'],
+];
+
+/**
+ * Public suffixes with more than one label, so "evil.co.uk" is treated as one registrable domain
+ * Not the full Public Suffix List - just the multi-part suffixes common in spam links
+ */
+const MULTI_PART_SUFFIXES = new Set([
+    'co.uk', 'org.uk', 'me.uk', 'ac.uk', 'gov.uk',
+    'com.au', 'net.au', 'org.au',
+    'co.nz', 'co.za', 'co.jp', 'co.kr', 'co.in', 'co.id', 'co.il',
+    'com.br', 'com.mx', 'com.ar', 'com.tr', 'com.cn', 'com.hk', 'com.sg', 'com.my',
+    'com.ph', 'com.ng', 'com.pk', 'com.vn', 'com.ua', 'com.co',
+]);
+
+/**
+ * Safe domains (whitelist) - Won't trigger spam flags
+ */
+const SAFE_DOMAINS = [
+    'bandcamp.com',
+    'buymeacoffee.com',
+    'facebook.com',
+    'github.com',
+    'instagram.com',
+    'ko-fi.com',
+    'linkedin.com',
+    'medium.com',
+    'patreon.com',
+    'reddit.com',
+    'soundcloud.com',
+    'spotify.com',
+    'substack.com',
+    'tiktok.com',
+    'twitch.tv',
+    'twitter.com',
+    'x.com',
+    'youtu.be',
+    'youtube.com',
+];
+
+// =============================================================================
+// KEYWORD WEIGHTS - Spam scoring based on text content
+// =============================================================================
+
+/**
+ * Keyword weights for spam scoring, grouped by spam category (see SPAM_CATEGORIES)
+ * Higher weight = more likely spam
+ */
+const SPAM_KEYWORDS_BY_CATEGORY = {
+    Crypto: {
+        // Crypto/Investment scam keywords (weight: 3-5)
+        'crypto': 3,
+        'bitcoin': 2,
+        'ethereum': 2,
+        'trading': 3,
+        'investment': 3,
+        'invest': 3,
+        'profit': 3,
+
+        'guaranteed': 4,
+        'passive income': 4,
+        'financial freedom': 3,
+        'forex': 4,
+        'binary options': 5,
+        'nft drop': 3,
+        'airdrop': 3,
+        'giveaway': 2,
+        'free money': 5,
+        'double your': 5,
+
+        // Pig Butchering / Long-con investment tactics
+        'liquidity': 3,
+        'passive returns': 4,
+        'portfolio manager': 3,
+        'signal group': 4,
+        'insider trade': 4,
+        'mentorship': 3,
+        'wealth creation': 3,
+        'gas fee': 3,
+        'reimbursement': 3,
+
+        // Stock/Investment pump schemes (weight: 4-5)
+        'stock blogger': 5,
+        'reliable stock': 4,
+        'market analysis team': 5,
+        'stocks buying and selling': 5,
+        'trade setups': 4,
+        'stock list': 3,
+        'high-conviction': 4,
+        'crypto signals': 4,
+        'stock signals': 4,
+        'returns is now live': 5,
+        'transform potential into profit': 5,
+        'never recommends junk': 4,
+        'valuable investing': 3,
+        'exclusive investment': 4,
+        'exclusive report': 3,
+        'way better than researching': 4,
+
+        // Lazy AI / Overused Marketing Buzzwords (weight: 3)
+        'game-changer': 3,
+        'game changer': 3,
+        'the real unlock': 3,
+        'unlock the power': 3,
+        'scaling to the moon': 3,
+
+        // Crypto/Investment (2024-2025 trends)
+        'mining pool': 4,
+        'liquidity pool': 3,
+        'staking rewards': 3,
+        'new ico': 4,
+        'pump and dump': 5,
+        'risk-free': 4,
+        'send me 1 eth': 5,
+        'send me 1 btc': 5,
+    },
+    Phishing: {
+        // Urgency/pressure tactics (weight: 2-4)
+        'urgent': 3,
+        'act now': 4,
+        'limited time': 3,
+        'don\'t miss': 2,
+        'last chance': 3,
+        'hurry': 2,
+        'expires': 2,
+
+        // Scam language patterns (weight: 2-4)
+        'kindly': 3,           // VERY common in scams
+        'dear friend': 4,
+        'dear sir': 3,
+        'dear madam': 3,
+        'congratulations': 2,
+        'you have been selected': 5,
+        'you have won': 5,
+        'claim your': 4,
+        'verify your account': 4,
+        'suspended': 3,
+
+        // Wallet drainer phishing (weight: 3-5)
+        'seed phrase': 5,
+        'connect wallet': 5,
+        'recovery phrase': 5,
+        'private key': 5,
+        'verify your wallet': 4,
+        'security alert': 3,
+    },
+    Redirect: {
+        // Off-platform redirect keywords (weight: 4-5)
+        'whatsapp': 5,
+        'telegram': 5,
+        'add me on': 4,
+        'message me on': 4,
+        'contact me on': 3,
+        'text me': 3,
+        'dm me on': 3,
+
+        // Click-through prompts (weight: 2-3)
+        'one click away': 3,
+        'come see': 2,
+        'tap the link': 2,
+        'hit the link': 2,
+        'click when you want': 3,
+        'press the picture': 3,
+        'hit my pic': 3,
+    },
+    Romance: {
+        // Romance scam indicators (weight: 2-5)
+        'lonely': 2,
+        'looking for love': 3,
+        'sugar daddy': 4,
+        'sugar mommy': 4,
+        'sugar baby': 3,
+        'allowance': 2,
+        'spoil you': 3,
+        'spoiling': 3,
+        'verification fee': 5,
+        'gas money': 3,
+        'hey hun': 3,
+        'bored at home': 2,
+
+        // Engagement bait openers (weight: 2-4)
+        'are you busy': 2,
+        'special question': 3,
+        'hope this message meets you well': 4,
+        'friendly stranger': 3,
+        'don\'t be shy': 2,
+        'tell me something': 2,
+        'temptation': 2,
+        'nervous typing this': 3,
+        'can\'t wait to see your name': 4,
+        'finally sees': 2,
+        'i hope this finds you well': 3,
+        'can i ask you something': 2,
+        'can i ask u something': 2,
+        'is it fine if i ask': 2,
+        'quick question but be honest': 3,
+        'random but u seem': 3,
+        'this is random but': 2,
+        'hey random but': 2,
+        'real quick': 2,
+        'be honest would u': 3,
+        'you seem familiar': 2,
+        'do we know each other': 2,
+        'i noticed you': 2,
+        'spotted your comment': 3,
+        'noticed your comment': 3,
+        'saw your comment': 2,
+        'saw ur comment': 2,
+        'ur comment': 2,
+        'your comment turned me': 4,
+        'couldn\'t help but spot': 3,
+        'you look cute': 2,
+        'you looked cute': 2,
+        'u look like the sorta': 3,
+        'you seem like my type': 3,
+        'you give energy': 2,
+        'this might sound weird': 2,
+        'okay confession': 3,
+        'new here': 2,
+        'not very active here': 3,
+        'reaching out from a backup': 4,
+
+        // Fake intimacy/Romance hooks (weight: 2-4)
+        'hey cutie': 2,
+        'hey handsome': 2,
+        'hey gorgeous': 2,
+        'hey love': 2,
+        'hey babe': 2,
+        'hello handsome': 2,
+        'hello gorgeous': 2,
+        'hi cutie': 2,
+        'thinking of you': 2,
+        'imagining you': 3,
+        'craving': 2,
+        'needy': 2,
+        'i\'ll take the lead': 2,
+
+        // Romance/Pig Butchering (2024-2025 trends)
+        'working overseas': 3,
+        'in the military': 3,
+        'oil rig': 4,
+        'bad internet': 3,
+        'recently widowed': 3,
+        'medical emergency': 4,
+        'customs fees': 4,
+        'shipping fees': 3,
+        'never felt this way': 3,
+        'soulmate': 2,
+    },
+    Adult: {
+        // Adult content promotion (weight: 3-4)
+        'onlyfans': 4,
+        'fansly': 4,
+        'link in bio': 2,
+        'link in my bio': 3,
+        'check my profile': 2,
+        'check my pinned': 3,
+        'exclusive content': 3,
+        'subscribe': 2,
+        'sub to me': 3,
+        'live show': 4,
+        'sexting': 4,
+        'private session': 3,
+        'top 0%': 3,
+        'uncensored': 3,
+        'raw photos': 4,
+        'raw vids': 4,
+        'no panties': 4,
+        'completely free': 3,
+        'free profile': 3,
+        'free trial': 2,
+        'free for 24': 4,
+        'free just for': 3,
+        'free till midnight': 4,
+        'cumslut': 5,
+        'nude chat': 5,
+        'private followers': 3,
+        'private page': 3,
+        'filthy side': 4,
+        'filthy lil': 4,
+        'drenched': 3,
+        'spreadin': 4,
+        'going wild on myself': 5,
+        'taboo secrets': 4,
+        'curvy body': 2,
+        'perky boobs': 4,
+        'tight pussy': 5,
+        'tight holes': 5,
+        'playing with my': 3,
+        'using my toy': 4,
+        'between my legs': 4,
+        'bent over': 3,
+        'ass up': 4,
+        'bustin hard': 4,
+        'make you throb': 5,
+        'dripping': 3,
+        'gushing': 3,
+        'slippery': 3,
+        'instantly wet': 4,
+        'bimbo mode': 4,
+
+        // FOMO/Urgency scam tactics (weight: 3-5)
+        'till midnight': 4,
+        'until midnight': 4,
+        'limited verification': 4,
+        'free verification phase': 5,
+        'direct path to': 3,
+        'your access is waiting': 4,
+        'begin free now': 4,
+        'join for free': 2,
+        'your likes': 2,
+        'makes me throb': 5,
+
+        // Explicit adult solicitation (weight: 4-5)
+        'dm me 1 word': 4,
+        'dm me on of': 4,
+        'slide into': 2,
+        'invaded your dms': 4,
+        'obey me': 3,
+        'slave': 3,
+        'dominance': 2,
+        'behave or misbehave': 3,
+        'quit staring': 3,
+        'stop behaving': 3,
+        'deserve it': 2,
+        'nasty you\'ll be addicted': 5,
+        'welcome video': 3,
+        'full reveal': 3,
+        'real treat': 2,
+        'unwrap the rest': 3,
+        'what i\'m hiding': 3,
+
+        // Vague teaser hooks (weight: 2-3)
+        'i need to tell you something': 2,
+        'it will be short': 2,
+        'this shot is merely': 3,
+        'the photo cuts off': 3,
+        'kept the rest uncensored': 4,
+        'didn\'t show here': 2,
+        'you got this far': 2,
+        'don\'t dare stop': 3,
+        'still here still soft': 3,
+
+        // Adult/Meetup scams (2024-2025 trends)
+        'paid meetup': 4,
+        'meetup available': 3,
+        'gf experience': 4,
+        'girlfriend experience': 4,
+        'booking info': 2, // Often used by "agencies"
+
+        // Explicit intimacy hooks (weight: 2-4)
+        'desperate for touch': 4,
+        'sensitive and needy': 3,
+        'hot and bothered': 3,
+        'playing with myself': 4,
+        'touching myself': 4,
+        'come prove me right': 3,
+        'come get what you do': 3,
+        'come sub now': 4,
+        'door wide open': 3,
+    },
+};
+
+/**
+ * Keyword weights for spam scoring, all categories in one table
+ */
+const SPAM_KEYWORD_WEIGHTS = Object.assign({}, ...Object.values(SPAM_KEYWORDS_BY_CATEGORY));
+
+/**
+ * Category of each built-in keyword
+ */
+const SPAM_KEYWORD_CATEGORIES = Object.fromEntries(Object.entries(SPAM_KEYWORDS_BY_CATEGORY)
+    .flatMap(([category, keywords]) => Object.keys(keywords).map(keyword => [keyword, category])));
+
+/**
+ * Regex-based spam patterns for dynamic number matching
+ * Each entry: [regex, weight, name, category]
+ */
+const SPAM_REGEX_PATTERNS = [
+    // Crypto multiplier claims (100x, 1000x, etc.)
+    [/\b\d+x\b/gi, 5, 'multiplier claim', 'Crypto'],
+
+    // Percentage return claims (e.g., "8875.5% returns", "200%-300% upside")
+    [/\b\d+(?:\.\d+)?%(?:\s*[-–]\s*\d+(?:\.\d+)?%)?\s*(?:returns?|upside|profit|gains?)/gi, 5, 'percentage returns', 'Crypto'],
+
+    // Time-limited FOMO ("for the next 24h", "next 15 minutes", "free for 24 hours")
+    [/(?:for the )?next\s+\d+\s*(?:h(?:ours?)?|min(?:utes?)?|days?)/gi, 4, 'time-limited offer', 'Phishing'],
+    [/free\s+(?:for\s+)?\d+\s*(?:h(?:ours?)?|min(?:utes?)?|days?)/gi, 4, 'free time-limited', 'Adult'],
+
+    // First N people/spots ("first 150", "first 50 members")
+    [/\bfirst\s+\d+\b/gi, 4, 'first N spots', 'Crypto'],
+
+    // Stock trade records with buy/sell prices
+    [/\bbuy:\s*[\d.]+/gi, 4, 'stock buy price', 'Crypto'],
+    [/\bsell:\s*[\d.]+/gi, 4, 'stock sell price', 'Crypto'],
+
+    // DM me N word ("DM me 1 word", "DM me one word")
+    [/dm\s+me\s+(?:\d+|one|a)\s+word/gi, 4, 'dm trigger word', 'Adult'],
+
+    // Countdown triggers ("in 8 sec", "in 5 seconds")
+    [/in\s+\d+\s*sec(?:onds?)?/gi, 3, 'countdown trigger', 'Adult'],
+
+    // Send crypto requests ("Send 0.1 ETH", "Deposit 500 USDT")
+    [/(?:send|deposit)\s+\d+(?:\.\d+)?\s*(?:eth|btc|sol|bnb|usdt|usdc)/gi, 5, 'crypto deposit request', 'Crypto'],
+
+    // Wallet/exchange brand names in free text (look-alike domains are matched separately)
+    [/\b(?:[01]inance|c[0o]inbase|met[a4]m[a4]sk|trust\s?wallet|wallet\s?connect)\b/gi, 3, 'wallet brand mention', 'Crypto'],
+
+    // "Check bio" variations
+    [/check\s*(?:my)?\s*bio/gi, 2, 'check bio', 'Adult'],
+    [/link\s*(?:is)?\s*in\s*(?:my)?\s*bio/gi, 3, 'link in bio', 'Adult'],
+];
+
+// =============================================================================
+// SPAM CATEGORIES - What kind of spam a message is, next to how spammy it is
+// =============================================================================
+
+/**
+ * Spam categories, the same ones the AI reports (see ai-service.js)
+ * Built-in keywords, regexes and URL lists are tagged with one; custom entries can be tagged in the options page
+ */
+const SPAM_CATEGORIES = ['Crypto', 'Romance', 'Redirect', 'Phishing', 'Adult'];
+
+// Built-in URL rule names (as in checkUrlPatterns' matchedPatterns) to category, built on first use
+// eslint-disable-next-line no-var
+var _urlCategories = null;
+
+/**
+ * Check if a value is one of SPAM_CATEGORIES
+ * @param {*} category - Value to check
+ * @returns {boolean}
+ */
+function isValidSpamCategory(category) {
+    return SPAM_CATEGORIES.includes(category);
+}
+
+/**
+ * Get the category of a keyword match
+ * @param {string} key - matchedKeywords key (built-in keyword, "lang:<language>:<keyword>" or "custom:<keyword>")
+ * @returns {string|null} Rule-pack keywords have no category
+ */
+function getKeywordCategory(key) {
+    if (key.startsWith('custom:')) {
+        const category = customKeywordCategories[key.slice('custom:'.length)];
+        return isValidSpamCategory(category) ? category : null;
+    }
+    if (key.startsWith('lang:')) {
+        const [, language, keyword] = key.match(/^lang:([^:]+):(.*)$/);
+        return LANGUAGE_KEYWORD_CATEGORIES[language]?.[keyword] || null;
+    }
+    return SPAM_KEYWORD_CATEGORIES[key] || null;
+}
+
+/**
+ * Get the category of a matched URL rule
+ * @param {string} name - Entry of checkUrlPatterns' matchedPatterns
+ * @returns {string|null} Rule-pack domains have no category
+ */
+function getUrlPatternCategory(name) {
+    if (name.startsWith('custom:')) {
+        const category = customUrlCategories[name.slice('custom:'.length)];
+        return isValidSpamCategory(category) ? category : null;
+    }
+    if (!_urlCategories) {
+        _urlCategories = new Map();
+        for (const lists of [HIGH_RISK_DOMAINS_BY_CATEGORY, MEDIUM_RISK_DOMAINS_BY_CATEGORY]) {
+            for (const [category, domains] of Object.entries(lists)) {
+                domains.forEach(domain => _urlCategories.set(domain, category));
+            }
+        }
+        for (const [pattern, category] of [...HIGH_RISK_HOSTNAME_PATTERNS, ...MEDIUM_RISK_PATH_PATTERNS]) {
+            _urlCategories.set(pattern.toString(), category);
+        }
+    }
+    return _urlCategories.get(name) || null;
+}
+
+/**
+ * Add up the score of each category from the signals that carry one
+ * Redirect says how the spam gets you off X, not what it is about, so it is only dominant
+ * when no other category scored ("crypto signals on t.me/..." is Crypto)
+ * @param {Array<{score: number, category: string}>} signals - Explanation signals
+ * @returns {{dominant: string|null, scores: Object}} dominant: highest positive subscore, ties go to
+ *          the earlier entry in SPAM_CATEGORIES; scores: {category: subscore} for every category seen
+ */
+function scoreCategories(signals) {
+    const scores = {};
+    for (const signal of signals) {
+        if (!signal.category) continue;
+        scores[signal.category] = (scores[signal.category] || 0) + signal.score;
+    }
+
+    let dominant = null;
+    for (const category of SPAM_CATEGORIES) {
+        if (category === 'Redirect' || !(scores[category] > 0)) continue;
+        if (!dominant || scores[category] > scores[dominant]) dominant = category;
+    }
+    if (!dominant && scores.Redirect > 0) dominant = 'Redirect';
+    return { dominant, scores };
+}
+
+// =============================================================================
+// CATEGORY POLICIES - What the popup's "Apply policies" button does with each category
+// =============================================================================
+
+/**
+ * Actions a policy can take, as performBatchAction names them in popup.js
+ * Also the order the popup runs them in: delete and sweep reload the list, so they go last
+ */
+const POLICY_ACTIONS = ['none', 'report', 'block', 'delete', 'sweep'];
+
+/**
+ * Risk levels a policy has an action for (safe requests are never acted on)
+ */
+const POLICY_RISK_LEVELS = ['high', 'medium', 'low'];
+
+/**
+ * Default policy of every category (user-configurable in the options page)
+ * skipFollowed: leave senders from the imported following list alone
+ */
+const DEFAULT_CATEGORY_POLICY = { high: 'none', medium: 'none', low: 'none', skipFollowed: true };
+
+// eslint-disable-next-line no-var
+var categoryPolicies = categoryPolicies || getDefaultCategoryPolicies();
+
+/**
+ * Get a fresh copy of the default policies
+ * @returns {Object} {category: {high, medium, low, skipFollowed}}
+ */
+function getDefaultCategoryPolicies() {
+    return Object.fromEntries(SPAM_CATEGORIES.map(category => [category, { ...DEFAULT_CATEGORY_POLICY }]));
+}
+
+/**
+ * Validate category policies, filling in defaults for missing categories and fields
+ * @param {*} value - Stored policies
+ * @returns {{policies: Object|null, error: string|null}}
+ */
+function validateCategoryPolicies(value) {
+    if (value === undefined || value === null) {
+        return { policies: getDefaultCategoryPolicies(), error: null };
+    }
+    if (typeof value !== 'object' || Array.isArray(value)) {
+        return { policies: null, error: 'Category policies must be an object' };
+    }
+
+    const policies = {};
+    for (const category of SPAM_CATEGORIES) {
+        const stored = value[category] ?? {};
+        if (typeof stored !== 'object' || Array.isArray(stored)) {
+            return { policies: null, error: `Policy for ${category} must be an object` };
+        }
+
+        const policy = { ...DEFAULT_CATEGORY_POLICY, ...stored };
+        for (const level of POLICY_RISK_LEVELS) {
+            if (!POLICY_ACTIONS.includes(policy[level])) {
+                return { policies: null, error: `Action must be one of ${POLICY_ACTIONS.join(', ')}` };
+            }
+        }
+        if (typeof policy.skipFollowed !== 'boolean') {
+            return { policies: null, error: 'skipFollowed must be true or false' };
+        }
+        policies[category] = {
+            high: policy.high,
+            medium: policy.medium,
+            low: policy.low,
+            skipFollowed: policy.skipFollowed
+        };
+    }
+    return { policies, error: null };
+}
+
+/**
+ * Check if any policy acts on something
+ * @param {Object} [policies] - Defaults to the loaded policies
+ * @returns {boolean}
+ */
+function hasActivePolicies(policies = categoryPolicies) {
+    return Object.values(policies).some(policy =>
+        POLICY_RISK_LEVELS.some(level => policy[level] !== 'none'));
+}
+
+/**
+ * Get the action the policies take for a request's dominant category and risk level
+ * @param {Object} spamInfo - getSpamInfo result
+ * @param {string} username - Sender username, checked against the following list
+ * @param {Object} [policies] - Defaults to the loaded policies
+ * @returns {string} One of POLICY_ACTIONS
+ */
+function getPolicyAction(spamInfo, username, policies = categoryPolicies) {
+    const category = spamInfo?.categoryMatch?.dominant;
+    const policy = category && policies[category];
+    if (!policy || !POLICY_RISK_LEVELS.includes(spamInfo.riskLevel)) return 'none';
+
+    const action = policy[spamInfo.riskLevel];
+    if (action === 'none' || (policy.skipFollowed && isFollowedAccount(username))) return 'none';
+    return action;
+}
+
+// =============================================================================
+// LANGUAGE PACKS - Keywords for non-English spam, applied by detected language
+// =============================================================================
+
+/**
+ * Languages with a keyword pack (English is the built-in table above and always applies)
+ */
+const LANGUAGE_NAMES = {
+    es: 'Spanish',
+    pt: 'Portuguese',
+    de: 'German',
+    hi: 'Hindi',
+    id: 'Indonesian'
+};
+
+/**
+ * Per-language keywords and regexes, matched with Unicode word boundaries
+ * Keywords are grouped by spam category like SPAM_KEYWORDS_BY_CATEGORY; each regex entry: [regex, weight, name, category]
+ * Hindi covers Devanagari and the romanized Hindi common in DMs
+ */
+const LANGUAGE_PACKS = {
+    es: {
+        keywords: {
+            Crypto: {
+                'inversión': 3,
+                'invertir': 3,
+                'ganancias': 3,
+                'ganancia garantizada': 5,
+                'ingresos pasivos': 4,
+                'criptomonedas': 3,
+                'cripto': 3,
+                'billetera': 2,
+                'oportunidad única': 4,
+                'dinero fácil': 4,
+                'gana dinero': 4,
+                'trabajo desde casa': 3,
+                'sin riesgo': 4,
+                'señales de trading': 5,
+                'asesor financiero': 4,
+                'duplica tu dinero': 5,
+                'sorteo': 3,
+                'gratis': 2,
+            },
+            Phishing: {
+                'por tiempo limitado': 4,
+                'premio': 3,
+                'urgente': 3,
+            },
+            Redirect: {
+                'escríbeme': 3,
+                'mándame un mensaje': 3,
+            },
+            Romance: {
+                'mi amor': 2,
+                'cariño': 2,
+                'soltera': 3,
+            },
+        },
+        regexes: [
+            [/\d+(?:[.,]\d+)?\s*%\s*(?:de\s+)?(?:ganancias?|rentabilidad|retornos?)/giu, 5, 'porcentaje de ganancia', 'Crypto'],
+            [/escr[ií]beme\s+(?:al\s+|por\s+)?(?:privado|md|dm)/giu, 4, 'escríbeme al privado', 'Redirect'],
+        ]
+    },
+    pt: {
+        keywords: {
+            Crypto: {
+                'investimento': 3,
+                'investir': 3,
+                'lucro': 3,
+                'lucro garantido': 5,
+                'renda passiva': 4,
+                'renda extra': 3,
+                'criptomoedas': 3,
+                'cripto': 3,
+                'carteira': 2,
+                'oportunidade única': 4,
+                'dinheiro fácil': 4,
+                'ganhe dinheiro': 4,
+                'trabalhe de casa': 3,
+                'sem risco': 4,
+                'sinais de trading': 5,
+                'gerente de contas': 4,
+                'dobre seu dinheiro': 5,
+                'sorteio': 3,
+                'grátis': 2,
+                'pix': 2,
+            },
+            Phishing: {
+                'por tempo limitado': 4,
+                'prêmio': 3,
+                'urgente': 3,
+            },
+            Redirect: {
+                'chama no zap': 5,
+                'me chama': 3,
+            },
+            Romance: {
+                'meu amor': 2,
+                'solteira': 3,
+            },
+        },
+        regexes: [
+            [/\d+(?:[.,]\d+)?\s*%\s*(?:de\s+)?(?:lucro|rendimento|retorno)/giu, 5, 'porcentagem de lucro', 'Crypto'],
+            [/chama\s+(?:no|na)\s+(?:pv|dm|direct|privado|inbox)/giu, 4, 'chama no privado', 'Redirect'],
+        ]
+    },
+    de: {
+        keywords: {
+            Crypto: {
+                'investition': 3,
+                'investieren': 3,
+                'gewinn': 3,
+                'garantierter gewinn': 5,
+                'passives einkommen': 4,
+                'nebeneinkommen': 3,
+                'kryptowährung': 3,
+                'krypto': 3,
+                'einmalige gelegenheit': 4,
+                'schnelles geld': 4,
+                'geld verdienen': 4,
+                'von zu hause arbeiten': 3,
+                'ohne risiko': 4,
+                'risikofrei': 4,
+                'handelssignale': 5,
+                'finanzberater': 4,
+                'verdopple dein geld': 5,
+                'gewinnspiel': 3,
+                'kostenlos': 2,
+            },
+            Phishing: {
+                'nur für kurze zeit': 4,
+                'dringend': 3,
+            },
+            Redirect: {
+                'schreib mir': 3,
+            },
+            Romance: {
+                'mein schatz': 2,
+                'liebling': 2,
+            },
+        },
+        regexes: [
+            [/\d+(?:[.,]\d+)?\s*%\s*(?:rendite|gewinn|profit)/giu, 5, 'prozent rendite', 'Crypto'],
+            [/schreib(?:e|t)?\s+mir\s+(?:eine?\s+)?(?:dm|nachricht|privat)/giu, 4, 'schreib mir privat', 'Redirect'],
+        ]
+    },
+    hi: {
+        keywords: {
+            Crypto: {
+                'निवेश': 3,
+                'मुनाफा': 3,
+                'पक्का मुनाफा': 5,
+                'गारंटी': 4,
+                'क्रिप्टो': 3,
+                'पैसे कमाएं': 4,
+                'घर बैठे': 4,
+                'कमाई': 3,
+                'मुफ्त': 2,
+                'nivesh': 3,
+                'munafa': 3,
+                'paise kamao': 4,
+                'ghar baithe': 4,
+                'pakka profit': 5,
+            },
+            Phishing: {
+                'इनाम': 3,
+                'लॉटरी': 4,
+                'जल्दी करें': 3,
+                'jaldi karo': 3,
+                'inaam': 3,
+                'lottery lagi': 4,
+            },
+            Redirect: {
+                'मैसेज करें': 3,
+                'व्हाट्सएप': 5,
+                'टेलीग्राम': 5,
+            },
+        },
+        regexes: [
+            [/\d+\s*(?:%|प्रतिशत)\s*(?:मुनाफा|रिटर्न|लाभ)/gu, 5, 'प्रतिशत मुनाफा', 'Crypto'],
+            [/(?:₹|rs\.?\s*)\d[\d,]*\s*(?:रोज़?|प्रतिदिन|roz|daily|per day)/giu, 4, 'daily earnings', 'Crypto'],
+        ]
+    },
+    id: {
+        keywords: {
+            Crypto: {
+                'investasi': 3,
+                'keuntungan': 3,
+                'untung': 3,
+                'profit dijamin': 5,
+                'keuntungan pasti': 5,
+                'penghasilan pasif': 4,
+                'penghasilan tambahan': 3,
+                'kripto': 3,
+                'dompet': 2,
+                'kesempatan emas': 4,
+                'uang mudah': 4,
+                'cuan': 3,
+                'kerja dari rumah': 3,
+                'tanpa risiko': 4,
+                'sinyal trading': 5,
+                'gratis': 2,
+
+                // Online gambling promotion, the same get-rich-quick pitch
+                'slot gacor': 5,
+                'gacor': 4,
+                'maxwin': 5,
+                'judi': 4,
+            },
+            Phishing: {
+                'waktu terbatas': 4,
+                'hadiah': 3,
+            },
+            Redirect: {
+                'hubungi saya': 3,
+            },
+            Romance: {
+                'sayang': 2,
+            },
+        },
+        regexes: [
+            [/\d+(?:[.,]\d+)?\s*%\s*(?:keuntungan|profit|untung)/giu, 5, 'persen keuntungan', 'Crypto'],
+            [/(?:deposit|depo)\s+\d+\s*(?:rb|ribu|k)(?![\p{L}\p{N}])/giu, 4, 'deposit judi', 'Crypto'],
+        ]
+    }
+};
+
+/**
+ * Keyword weights of each language pack, all categories in one table
+ */
+const LANGUAGE_KEYWORD_WEIGHTS = Object.fromEntries(Object.entries(LANGUAGE_PACKS)
+    .map(([language, pack]) => [language, Object.assign({}, ...Object.values(pack.keywords))]));
+
+/**
+ * Category of each language-pack keyword, by language
+ */
+const LANGUAGE_KEYWORD_CATEGORIES = Object.fromEntries(Object.entries(LANGUAGE_PACKS)
+    .map(([language, pack]) => [language, Object.fromEntries(Object.entries(pack.keywords)
+        .flatMap(([category, keywords]) => Object.keys(keywords).map(keyword => [keyword, category])))]));
+
+/**
+ * Common function words per language, used to guess the language of a message
+ * English is included so English text isn't mistaken for a language with a few shared words
+ */
+const LANGUAGE_STOPWORDS = {
+    en: ['the', 'and', 'you', 'your', 'is', 'are', 'to', 'for', 'with', 'this', 'that', 'have', 'what', 'my', 'me', 'it', 'of', 'hello', 'thanks'],
+    es: ['el', 'la', 'los', 'las', 'que', 'de', 'y', 'en', 'un', 'una', 'por', 'para', 'con', 'es', 'mi', 'tu', 'te', 'su', 'muy', 'pero', 'como', 'está', 'hola', 'gracias', 'yo'],
+    pt: ['o', 'os', 'as', 'que', 'de', 'e', 'em', 'um', 'uma', 'para', 'com', 'é', 'meu', 'minha', 'você', 'seu', 'sua', 'não', 'mais', 'olá', 'obrigado', 'obrigada', 'eu', 'do', 'da'],
+    de: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'ich', 'du', 'mit', 'ein', 'eine', 'zu', 'sie', 'auf', 'für', 'dich', 'mich', 'wir', 'hallo', 'danke', 'bitte'],
+    hi: ['hai', 'hain', 'kya', 'aap', 'aapko', 'mujhe', 'nahi', 'nahin', 'karo', 'bhai', 'aur', 'yeh', 'kaise', 'hum', 'tum', 'mera', 'meri', 'apna'],
+    id: ['yang', 'dan', 'di', 'ini', 'itu', 'dengan', 'untuk', 'tidak', 'saya', 'kamu', 'anda', 'ada', 'ke', 'dari', 'aku', 'bisa', 'mau', 'sudah', 'halo', 'terima', 'kasih']
+};
+
+// Letters only some of the languages use
+const LANGUAGE_CHAR_HINTS = {
+    es: /[ñ¿¡]/u,
+    pt: /[ãõç]/u,
+    de: /[ßäöü]/u
+};
+
+const LANGUAGE_MIN_SCORE = 2;           // Stopword hits needed before a language counts
+const LANGUAGE_DEVANAGARI_SHARE = 0.2;  // Share of Devanagari letters that makes a message Hindi
+
+// Stopword lookup, built on first use
+// eslint-disable-next-line no-var
+var _languageStopwords = null;
+
+/**
+ * Guess the languages of a message from its function words and script
+ * Mixed messages can return several languages; short or unknown text returns none
+ * @param {string} text - Normalized message text
+ * @returns {string[]} Language codes (keys of LANGUAGE_STOPWORDS), most likely first
+ */
+function detectLanguages(text) {
+    if (!text) return [];
+
+    if (!_languageStopwords) {
+        _languageStopwords = new Map();
+        for (const [language, words] of Object.entries(LANGUAGE_STOPWORDS)) {
+            for (const word of words) {
+                if (!_languageStopwords.has(word)) _languageStopwords.set(word, []);
+                _languageStopwords.get(word).push(language);
+            }
+        }
+    }
+
+    const lower = text.toLowerCase();
+    const scores = Object.fromEntries(Object.keys(LANGUAGE_STOPWORDS).map(language => [language, 0]));
+
+    const letters = lower.match(/\p{L}/gu) || [];
+    const devanagari = lower.match(/\p{Script=Devanagari}/gu) || [];
+    if (letters.length > 0 && devanagari.length / letters.length >= LANGUAGE_DEVANAGARI_SHARE) {
+        scores.hi += Math.max(LANGUAGE_MIN_SCORE, Math.ceil(devanagari.length / 5));
+    }
+
+    for (const word of lower.match(/[\p{L}\p{M}]+/gu) || []) {
+        for (const language of _languageStopwords.get(word) || []) {
+            scores[language]++;
+        }
+    }
+    for (const [language, hint] of Object.entries(LANGUAGE_CHAR_HINTS)) {
+        if (hint.test(lower)) scores[language] += LANGUAGE_MIN_SCORE;
+    }
+
+    // Keep languages that are both clearly present and not far behind the best guess
+    const best = Math.max(...Object.values(scores));
+    return Object.entries(scores)
+        .filter(([, score]) => score >= LANGUAGE_MIN_SCORE && score * 2 >= best)
+        .sort((a, b) => b[1] - a[1])
+        .map(([language]) => language);
+}
+
+/**
+ * Languages whose packs apply to a message: detected and not switched off in the options page
+ * @param {string[]} languages - Result of detectLanguages
+ * @returns {string[]}
+ */
+function getActiveLanguagePacks(languages) {
+    return languages.filter(language => LANGUAGE_PACKS[language] && !disabledLanguages.includes(language));
+}
+
+// =============================================================================
+// TEXT NORMALIZATION - Undo common keyword-evasion tricks before scoring
+// =============================================================================
+
+/**
+ * Look-alike characters from other scripts mapped to their ASCII counterpart
+ * Only applied inside words that mix scripts, or consist purely of look-alikes in mostly Latin text,
+ * so genuine Cyrillic/Greek text is left alone
+ */
+const CONFUSABLE_CHARS = {
+    // Cyrillic
+    'а': 'a', 'в': 'b', 'е': 'e', 'к': 'k', 'м': 'm', 'н': 'h', 'о': 'o', 'р': 'p',
+    'с': 'c', 'т': 't', 'у': 'y', 'х': 'x', 'і': 'i', 'ј': 'j', 'ѕ': 's', 'ԁ': 'd',
+    'ӏ': 'l', 'ԛ': 'q', 'ԝ': 'w', 'ү': 'y', 'һ': 'h', 'ɡ': 'g',
+    'А': 'A', 'В': 'B', 'Е': 'E', 'К': 'K', 'М': 'M', 'Н': 'H', 'О': 'O', 'Р': 'P',
+    'С': 'C', 'Т': 'T', 'У': 'Y', 'Х': 'X', 'І': 'I', 'Ј': 'J', 'Ѕ': 'S',
+    // Greek
+    'α': 'a', 'ε': 'e', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o', 'ρ': 'p', 'τ': 't',
+    'υ': 'u', 'χ': 'x', 'Α': 'A', 'Β': 'B', 'Ε': 'E', 'Ζ': 'Z', 'Η': 'H', 'Ι': 'I',
+    'Κ': 'K', 'Μ': 'M', 'Ν': 'N', 'Ο': 'O', 'Ρ': 'P', 'Τ': 'T', 'Υ': 'Y', 'Χ': 'X',
+    // Latin small capitals and other look-alikes
+    'ᴀ': 'a', 'ʙ': 'b', 'ᴄ': 'c', 'ᴅ': 'd', 'ᴇ': 'e', 'ғ': 'f', 'ɢ': 'g', 'ʜ': 'h',
+    'ɪ': 'i', 'ᴊ': 'j', 'ᴋ': 'k', 'ʟ': 'l', 'ᴍ': 'm', 'ɴ': 'n', 'ᴏ': 'o', 'ᴘ': 'p',
+    'ʀ': 'r', 'ꜱ': 's', 'ᴛ': 't', 'ᴜ': 'u', 'ᴠ': 'v', 'ᴡ': 'w', 'ʏ': 'y', 'ᴢ': 'z',
+    'ı': 'i',
+};
+
+/**
+ * Leetspeak digits/symbols and the letters they stand in for
+ * Only replaced when sandwiched between letters ("b1tc0in"), never in numbers ("100x")
+ */
+const LEETSPEAK_CHARS = {
+    '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '@': 'a', '$': 's'
+};
+
+/**
+ * Check if a token is an ID, hash or wallet address rather than a word
+ * Digits between letters are normal there, so they aren't leetspeak
+ * @param {string} token - Whitespace-separated token
+ * @returns {boolean}
+ */
+function _looksLikeIdentifier(token) {
+    const digits = (token.match(/\d/g) || []).length;
+    const letters = (token.match(/\p{L}/gu) || []).length;
+    if (digits >= letters) return true;     // Mostly digits: order numbers, codes, "a1b2c3"
+    return (token.match(/[\p{L}\p{N}]+/gu) || []).some(run =>
+        /^0x[0-9a-f]+$/i.test(run)                              // ETH addresses, transaction hashes
+        || /^(?=.*\d)[0-9a-f]{8,}$/i.test(run)                  // Bare hex: hashes, keys
+        || /^(?=.*\d)[1-9A-HJ-NP-Za-km-z]{20,}$/.test(run));    // Base58: BTC, SOL, TRON addresses
+}
+
+/**
+ * Spaced-out runs of at least this many letters count as a trick even if they spell no keyword
+ * Shorter ones ("A B C D") are usually lists or initials
+ */
+const SPACED_LETTERS_MIN_RUN = 8;
+
+/**
+ * Zero-width and other invisible characters used to split keywords
+ * ZWJ (U+200D) is included - it is legitimate inside emoji sequences,
+ * which is why only invisibles between two letters count as a trick
+ */
+const INVISIBLE_CHARS_REGEX = /[\u00AD\u034F\u061C\u115F\u1160\u17B4\u17B5\u180E\u200B-\u200F\u202A-\u202E\u2060-\u2064\u2066-\u206F\u3164\uFEFF\uFFA0]/;
+
+/**
+ * Obfuscation tricks detected during normalization and their spam weight
+ * Legit senders rarely bother hiding words, so each trick found is a signal of its own
+ */
+const OBFUSCATION_WEIGHTS = {
+    'fancy unicode': 3,      // Fullwidth, math bold/italic, circled letters
+    'homoglyphs': 4,         // Cyrillic/Greek look-alikes mixed into Latin words
+    'invisible characters': 3,
+    'spaced letters': 3,     // "t e l e g r a m", "w.h.a.t.s.a.p.p" - a keyword or a long run
+    'leetspeak': 2,          // "b1tc0in", "w4ll3t"
+};
+
+/**
+ * Normalize message text so keyword and URL matching can't be dodged with
+ * look-alike characters, invisible characters or spaced-out letters
+ * @param {string} text - Raw message text
+ * @returns {{text: string, keywordText: string, tricks: string[], trickSpans: Object, offsets: number[], source: string}}
+ *          text: folded text for URL matching, keywordText: additionally leetspeak-folded (same length),
+ *          offsets: index into the raw text for every code unit of text/keywordText
+ */
+function normalizeText(text) {
+    if (!text) return { text: '', keywordText: '', tricks: [], trickSpans: {}, offsets: [], source: '' };
+
+    const trickSpans = {};
+    const addTrick = (trick, start, end) => {
+        (trickSpans[trick] = trickSpans[trick] || []).push({ start, end });
+    };
+
+    const chars = [];
+    let offsets = [];
+    const fancySpans = [];
+    let fancyCount = 0;
+
+    // 1. Strip invisibles and fold compatibility characters (fullwidth, math bold, ...)
+    const codePoints = Array.from(text);
+    let position = 0;
+    codePoints.forEach((ch, i) => {
+        const start = position;
+        position += ch.length;
+
+        if (INVISIBLE_CHARS_REGEX.test(ch)) {
+            const prev = codePoints[i - 1] || '';
+            const next = codePoints[i + 1] || '';
+            if (/[\p{L}\p{N}]/u.test(prev) && /[\p{L}\p{N}]/u.test(next)) {
+                addTrick('invisible characters', start - prev.length, position + next.length);
+            }
+            return;
+        }
+
+        const folded = ch.normalize('NFKC');
+        if (folded !== ch && /^[a-z0-9]$/i.test(folded) && /[\p{L}\p{So}]/u.test(ch)) {
+            fancyCount++;
+            const last = fancySpans[fancySpans.length - 1];
+            if (last && last.end === start) {
+                last.end = position;
+            } else {
+                fancySpans.push({ start, end: position });
+            }
+        }
+        for (const unit of folded.split('')) {
+            chars.push(unit);
+            offsets.push(start);
+        }
+    });
+
+    if (fancyCount >= 3) {
+        trickSpans['fancy unicode'] = fancySpans;
+    }
+
+    // Maps a range of the normalized text back to the raw text
+    const toSource = (start, end) => _toSourceSpan(text, offsets, start, end);
+
+    // 2. Fold look-alike letters inside words that mix scripts, and in otherwise Latin text
+    //    also inside words made entirely of look-alikes
+    let folded = chars.join('');
+    const allLetters = folded.match(/\p{L}/gu) || [];
+    const latinLetters = allLetters.filter(c => /[a-z]/i.test(c)).length;
+    const latinText = latinLetters > allLetters.length - latinLetters;
+    const foldedWords = [];
+
+    folded = folded.replace(/[\p{L}\p{M}\p{N}]+/gu, (word, offset) => {
+        const letters = word.match(/\p{L}/gu) || [];
+        const latin = letters.filter(c => /[a-z]/i.test(c)).length;
+        const confusable = letters.filter(c => CONFUSABLE_CHARS[c]).length;
+
+        if (confusable === 0) return word;
+        if (latin + confusable !== letters.length) return word;
+        if (latin === 0 && !latinText) return word; // "как" in Russian text
+
+        foldedWords.push(toSource(offset, offset + word.length));
+        return Array.from(word, c => CONFUSABLE_CHARS[c] || c).join('');
+    });
+
+    if (foldedWords.length > 0) {
+        trickSpans['homoglyphs'] = foldedWords;
+    }
+
+    // 3. Collapse spaced or dotted letters ("t e l e g r a m" -> "telegram")
+    const removed = new Set();
+    folded = folded.replace(
+        /(?<![\p{L}\p{N}])\p{L}(\s+|\s*[.\-_*·•|/]\s*)(?:\p{L}\1){2,}\p{L}(?![\p{L}\p{N}])/gu,
+        (match, separator, offset) => {
+            let kept = '';
+            for (let i = 0; i < match.length;) {
+                if (match.startsWith(separator, i)) {
+                    for (let j = 0; j < separator.length; j++) removed.add(offset + i + j);
+                    i += separator.length;
+                } else {
+                    kept += match[i++];
+                }
+            }
+
+            const word = kept.toLowerCase();
+            if (kept.length >= SPACED_LETTERS_MIN_RUN
+                || Object.hasOwn(SPAM_KEYWORD_WEIGHTS, word) || Object.hasOwn(customKeywords, word)) {
+                const span = toSource(offset, offset + match.length);
+                addTrick('spaced letters', span.start, span.end);
+            }
+            return kept;
+        }
+    );
+    if (removed.size > 0) {
+        offsets = offsets.filter((_, i) => !removed.has(i));
+    }
+
+    // 4. Leetspeak is only folded for keyword matching - URLs, IDs and addresses legitimately contain digits
+    const keywordText = folded.replace(/\S+/g, (token, offset) => {
+        if (/\/|\.\w/.test(token)) return token; // Looks like a URL or domain
+        if (_looksLikeIdentifier(token)) return token;
+
+        let leet = false;
+        const result = token.replace(/(?<=\p{L})[013457@$](?=\p{L})/gu, (ch) => {
+            leet = true;
+            return LEETSPEAK_CHARS[ch];
+        });
+        if (leet) {
+            const span = toSource(offset, offset + token.length);
+            addTrick('leetspeak', span.start, span.end);
+        }
+        return result;
+    });
+
+    return {
+        text: folded,
+        keywordText,
+        tricks: Object.keys(trickSpans),
+        trickSpans,
+        offsets,
+        source: text
+    };
+}
+
+/**
+ * Map a [start, end) range of normalized text back to the raw text it came from
+ * @param {string} source - Raw text passed to normalizeText
+ * @param {number[]} offsets - Offsets from normalizeText
+ * @param {number} start - Start index in normalized text
+ * @param {number} end - End index (exclusive) in normalized text
+ * @returns {{start: number, end: number}}
+ */
+function _toSourceSpan(source, offsets, start, end) {
+    if (offsets.length === 0 || end <= start) return { start: 0, end: 0 };
+
+    const first = offsets[Math.min(start, offsets.length - 1)];
+    const last = offsets[Math.min(end, offsets.length) - 1];
+    const lastCodePoint = source.codePointAt(last);
+    return {
+        start: first,
+        end: last + (lastCodePoint > 0xFFFF ? 2 : 1)
+    };
+}
+
+/**
+ * Map spans found in normalized text back to raw text offsets
+ * @param {Object} normalized - Result of normalizeText
+ * @param {Array<{start: number, end: number}>} spans - Spans in normalized text
+ * @returns {Array<{start: number, end: number}>}
+ */
+function toSourceSpans(normalized, spans) {
+    return (spans || []).map(span => _toSourceSpan(normalized.source, normalized.offsets, span.start, span.end));
+}
+
+/**
+ * Score the obfuscation tricks found by normalizeText
+ * @param {string[]} tricks - Trick names from normalizeText
+ * @returns {{tricks: string[], score: number}}
+ */
+function scoreObfuscation(tricks) {
+    const score = tricks.reduce((sum, trick) => sum + (OBFUSCATION_WEIGHTS[trick] || 0), 0);
+    return { tricks, score };
+}
+
+// =============================================================================
+// KEYWORD MATCHER - One Aho-Corasick pass instead of a RegExp per keyword
+// =============================================================================
+
+/**
+ * Check if a character code is a RegExp word character ([A-Za-z0-9_])
+ * Mirrors \b semantics so results match the old per-keyword RegExp exactly
+ * @param {number} code - Character code (NaN outside the string)
+ * @returns {boolean}
+ */
+function _isWordCharCode(code) {
+    return (code >= 48 && code <= 57) ||
+        (code >= 65 && code <= 90) ||
+        (code >= 97 && code <= 122) ||
+        code === 95;
+}
+
+/**
+ * Check if the character at an index is a letter, mark, digit or underscore in any script
+ * Used instead of \b for keywords in languages with accents or other scripts ("inversión", "निवेश")
+ * @param {string} text - Text
+ * @param {number} index - Code unit index (out of range counts as a boundary)
+ * @returns {boolean}
+ */
+function _isUnicodeWordChar(text, index) {
+    if (index < 0 || index >= text.length) return false;
+    // Step back onto the high surrogate when index points into a surrogate pair
+    const code = text.charCodeAt(index);
+    const start = code >= 0xDC00 && code <= 0xDFFF && index > 0 ? index - 1 : index;
+    return /[\p{L}\p{M}\p{N}_]/u.test(String.fromCodePoint(text.codePointAt(start)));
+}
+
+/**
+ * Build an Aho-Corasick automaton over a list of keywords
+ * @param {Array<{keyword: string, unicode?: boolean}>} entries - Keyword entries (extra fields are passed through);
+ *        unicode: match at Unicode word boundaries instead of \b
+ * @returns {{entries: Array<Object>, search: function(string): Array<{index: number, start: number, end: number}>}}
+ */
+function createKeywordMatcher(entries) {
+    // Trie: per node a child map, failure link and the entry indexes ending here
+    const children = [new Map()];
+    const fail = [0];
+    const outputs = [[]];
+
+    entries.forEach((entry, index) => {
+        const keyword = entry.keyword.toLowerCase();
+        if (!keyword) return;
+
+        let node = 0;
+        for (const ch of keyword.split('')) {
+            let next = children[node].get(ch);
+            if (next === undefined) {
+                next = children.length;
+                children.push(new Map());
+                fail.push(0);
+                outputs.push([]);
+                children[node].set(ch, next);
+            }
+            node = next;
+        }
+        outputs[node].push(index);
+    });
+
+    // Breadth-first pass to wire failure links and inherit their outputs
+    const queue = [...children[0].values()];
+    while (queue.length > 0) {
+        const node = queue.shift();
+        for (const [ch, child] of children[node]) {
+            let f = fail[node];
+            while (f !== 0 && !children[f].has(ch)) {
+                f = fail[f];
+            }
+            const target = children[f].get(ch);
+            fail[child] = target !== undefined && target !== child ? target : 0;
+            outputs[child] = outputs[child].concat(outputs[fail[child]]);
+            queue.push(child);
+        }
+    }
+
+    const lengths = entries.map(entry => entry.keyword.length);
+
+    /**
+     * Find whole-word keyword occurrences in (lowercased) text
+     * Like a global RegExp, occurrences of the same keyword never overlap
+     * @param {string} text - Lowercased text to scan
+     * @returns {Array<{index: number, start: number, end: number}>} Matches in order of their end
+     */
+    function search(text) {
+        const matches = [];
+        const lastEnd = new Map();
+        let node = 0;
+
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            while (node !== 0 && !children[node].has(ch)) {
+                node = fail[node];
+            }
+            node = children[node].get(ch) || 0;
+
+            for (const index of outputs[node]) {
+                const start = i - lengths[index] + 1;
+                const end = i + 1;
+
+                if (entries[index].unicode) {
+                    // Keywords always start and end with a word character, so both neighbours must not be one
+                    if (_isUnicodeWordChar(text, start - 1) || _isUnicodeWordChar(text, end)) continue;
+                } else {
+                    // \b on both sides of the keyword
+                    const startCode = text.charCodeAt(start);
+                    const endCode = text.charCodeAt(i);
+                    if (_isWordCharCode(text.charCodeAt(start - 1)) === _isWordCharCode(startCode)) continue;
+                    if (_isWordCharCode(text.charCodeAt(end)) === _isWordCharCode(endCode)) continue;
+                }
+
+                if (start < (lastEnd.get(index) || 0)) continue;
+                lastEnd.set(index, end);
+                matches.push({ index, start, end });
+            }
+        }
+
+        return matches;
+    }
+
+    return { entries, search };
+}
+
+/**
+ * Get the keyword matcher for built-in and custom keywords, building it on first use
+ * @returns {{entries: Array<Object>, search: Function, patterns: Array<Object>}} patterns: custom keywords using the pattern syntax
+ */
+function _getKeywordMatcher() {
+    if (!_keywordMatcher) {
+        // Precedence: a custom keyword replaces the same keyword from a rule pack,
+        // and a rule-pack keyword replaces the built-in one
+        const taken = new Set(Object.keys(customKeywords));
+        const packEntries = [];
+        for (const pack of getEnabledRulePacks()) {
+            for (const [keyword, weight] of Object.entries(pack.rules.keywords || {})) {
+                if (taken.has(keyword)) continue;
+                taken.add(keyword);
+                packEntries.push({ keyword, weight, key: `pack:${pack.name}:${keyword}` });
+            }
+        }
+
+        // Language packs are built-in too; which of them apply is decided per message
+        const languageEntries = Object.entries(LANGUAGE_PACKS).flatMap(([language, pack]) =>
+            Object.entries(LANGUAGE_KEYWORD_WEIGHTS[language])
+                .filter(([keyword]) => !taken.has(keyword))
+                .map(([keyword, weight]) => ({ keyword, weight, key: `lang:${language}:${keyword}`, language, unicode: true })));
+
+        // Custom keywords with wildcards, NEAR or stemming are matched word by word;
+        // one whose syntax does not parse is kept as a plain phrase
+        const patterns = Object.entries(customKeywords)
+            .map(([keyword, weight]) => ({ keyword, weight, key: `custom:${keyword}`, pattern: parseKeywordPattern(keyword).pattern }))
+            .filter(entry => entry.pattern);
+
+        const entries = [
+            ...Object.entries(SPAM_KEYWORD_WEIGHTS)
+                .filter(([keyword]) => !taken.has(keyword))
+                .map(([keyword, weight]) => ({ keyword, weight, key: keyword })),
+            ...languageEntries,
+            ...packEntries,
+            ...Object.entries(customKeywords)
+                .filter(([keyword]) => !patterns.some(entry => entry.keyword === keyword))
+                .map(([keyword, weight]) => ({ keyword, weight, key: `custom:${keyword}` }))
+        ];
+        _keywordMatcher = { ...createKeywordMatcher(entries), patterns };
+    }
+    return _keywordMatcher;
+}
+
+// =============================================================================
+// KEYWORD PATTERNS - Wildcards, proximity and stemming in custom keywords
+// =============================================================================
+
+/**
+ * Custom keyword syntax, matched word by word instead of as an exact phrase:
+ *   guaranteed * returns      "*" stands for one to KEYWORD_WILDCARD_MAX_WORDS words
+ *   invest*                   word starting with "invest"
+ *   return~                   any form of the word ("returns", "returned", "returning")
+ *   guaranteed NEAR/3 profit  both words at most 3 words apart, in either order
+ * Keywords without any of these stay exact phrases
+ */
+const KEYWORD_WILDCARD_MAX_WORDS = 3;
+const KEYWORD_NEAR_MAX_DISTANCE = 10;
+const KEYWORD_PATTERN_MAX_TERMS = 8;
+const KEYWORD_PREFIX_MIN_LENGTH = 3;      // "in*" would match half the dictionary
+
+// Words as the pattern matcher sees them ("40%", "don't" and "e-mail" are one word each)
+const KEYWORD_WORD_REGEX = /[\p{L}\p{N}]+(?:['’_-][\p{L}\p{N}]+)*%?/gu;
+const KEYWORD_TERM_REGEX = /^[\p{L}\p{N}]+(?:['’_-][\p{L}\p{N}]+)*%?$/u;
+
+/**
+ * Check if a keyword uses the pattern syntax
+ * @param {string} keyword - Custom keyword
+ * @returns {boolean}
+ */
+function isKeywordPattern(keyword) {
+    return String(keyword).split(/\s+/).some(token =>
+        token === '*' || /\S[*~]$/.test(token) || /^near\/\d+$/i.test(token));
+}
+
+/**
+ * Reduce a word to a rough stem so plurals and verb forms compare equal
+ * A few English suffix rules, not a full Porter stemmer
+ * @param {string} word - Lowercase word
+ * @returns {string}
+ */
+function stemWord(word) {
+    let stem = word.toLowerCase();
+    if (stem.length <= 3) return stem;
+
+    // Plurals: "bonuses" -> "bonus", "opportunities" -> "opportunity", but not "business"
+    if (/ies$/.test(stem)) {
+        stem = stem.slice(0, -3) + 'y';
+    } else if (/(?:ss|us|is)$/.test(stem)) {
+        // Not a plural
+    } else if (/(?:sh|ch|x|z|s)es$/.test(stem)) {
+        stem = stem.slice(0, -2);
+    } else if (/s$/.test(stem)) {
+        stem = stem.slice(0, -1);
+    }
+
+    // Verb forms: "guaranteed", "investing", "running" -> "run"
+    if (/ied$/.test(stem)) {
+        stem = stem.slice(0, -3) + 'y';
+    } else {
+        const base = stem.replace(/(?:ing|ed)$/, '');
+        if (base !== stem && base.length >= 3 && /[aeiouy]/.test(base)) {
+            stem = /([^aeiouslz])\1$/.test(base) ? base.slice(0, -1) : base;
+        }
+    }
+
+    // Silent final e: "guarantee" and "guaranteed" share "guarant"
+    return stem.length > 3 ? stem.replace(/e+$/, '') : stem;
+}
+
+/**
+ * Parse one pattern term ("word", "prefix*", "stem~")
+ * @param {string} token - Term text
+ * @returns {{term: Object|null, error: string|null}}
+ */
+function _parseKeywordTerm(token) {
+    if (token.endsWith('*')) {
+        const value = token.slice(0, -1);
+        if (!KEYWORD_TERM_REGEX.test(value)) return { term: null, error: `"${token}" is not a word` };
+        if (value.length < KEYWORD_PREFIX_MIN_LENGTH) {
+            return { term: null, error: `"${token}" is too short - use at least ${KEYWORD_PREFIX_MIN_LENGTH} letters before *` };
+        }
+        return { term: { kind: 'prefix', value }, error: null };
+    }
+    if (token.endsWith('~')) {
+        const value = token.slice(0, -1);
+        if (!KEYWORD_TERM_REGEX.test(value)) return { term: null, error: `"${token}" is not a word` };
+        return { term: { kind: 'stem', value: stemWord(value) }, error: null };
+    }
+    if (!KEYWORD_TERM_REGEX.test(token)) {
+        return { term: null, error: `"${token}" is not a word (* and ~ only go at the end of a word)` };
+    }
+    return { term: { kind: 'word', value: token }, error: null };
+}
+
+/**
+ * Parse and validate a custom keyword pattern
+ * @param {string} keyword - Lowercase custom keyword
+ * @returns {{pattern: Object|null, error: string|null}} pattern is null for plain keywords
+ *          {type: 'sequence', terms} or {type: 'near', left, right, distance}; terms are {kind, value} or {kind: 'gap', max}
+ */
+function parseKeywordPattern(keyword) {
+    const fail = (error) => ({ pattern: null, error });
+    if (!isKeywordPattern(keyword)) return { pattern: null, error: null };
+
+    const tokens = keyword.trim().toLowerCase().split(/\s+/);
+    if (tokens.length > KEYWORD_PATTERN_MAX_TERMS) return fail(`Patterns can have at most ${KEYWORD_PATTERN_MAX_TERMS} parts`);
+
+    const nearIndex = tokens.findIndex(token => /^near\/\d+$/.test(token));
+    if (nearIndex !== -1) {
+        if (tokens.length !== 3 || nearIndex !== 1) {
+            return fail('NEAR/n goes between two words (e.g. guaranteed NEAR/3 returns)');
+        }
+        const distance = parseInt(tokens[1].slice(5));
+        if (distance < 1 || distance > KEYWORD_NEAR_MAX_DISTANCE) {
+            return fail(`NEAR distance must be 1-${KEYWORD_NEAR_MAX_DISTANCE}`);
+        }
+        const left = _parseKeywordTerm(tokens[0]);
+        const right = _parseKeywordTerm(tokens[2]);
+        if (left.error || right.error) return fail(left.error || right.error);
+        return { pattern: { type: 'near', left: left.term, right: right.term, distance }, error: null };
+    }
+
+    if (tokens[0] === '*' || tokens[tokens.length - 1] === '*') {
+        return fail('A * wildcard must be between two words');
+    }
+
+    const terms = [];
+    for (const token of tokens) {
+        if (token === '*') {
+            if (terms[terms.length - 1].kind === 'gap') return fail('Use a single * for a gap of words');
+            terms.push({ kind: 'gap', max: KEYWORD_WILDCARD_MAX_WORDS });
+            continue;
+        }
+        const { term, error } = _parseKeywordTerm(token);
+        if (error) return fail(error);
+        terms.push(term);
+    }
+    return { pattern: { type: 'sequence', terms }, error: null };
+}
+
+/**
+ * Split lowercase text into words for pattern matching
+ * @param {string} text - Lowercase text
+ * @returns {Array<{word: string, start: number, end: number, stem: string}>} stem is filled in on demand
+ */
+function _splitKeywordWords(text) {
+    return Array.from(text.matchAll(KEYWORD_WORD_REGEX), match => ({
+        word: match[0],
+        start: match.index,
+        end: match.index + match[0].length,
+        stem: null
+    }));
+}
+
+/**
+ * Check if a word matches a pattern term
+ * @param {Object} term - {kind, value}
+ * @param {Object} entry - Word from _splitKeywordWords
+ * @returns {boolean}
+ */
+function _keywordTermMatches(term, entry) {
+    if (term.kind === 'prefix') return entry.word.startsWith(term.value);
+    if (term.kind === 'stem') {
+        if (entry.stem === null) entry.stem = stemWord(entry.word);
+        return entry.stem === term.value;
+    }
+    return entry.word === term.value;
+}
+
+/**
+ * Find the occurrences of a keyword pattern
+ * Like a global RegExp, occurrences never overlap
+ * @param {Object} pattern - Result of parseKeywordPattern
+ * @param {Array} words - Result of _splitKeywordWords
+ * @returns {Array<{start: number, end: number}>} Spans in the text the words came from
+ */
+function matchKeywordPattern(pattern, words) {
+    const spans = [];
+
+    if (pattern.type === 'near') {
+        const used = new Set();
+        words.forEach((entry, i) => {
+            if (used.has(i) || !_keywordTermMatches(pattern.left, entry)) return;
+
+            // Closest unused partner within the distance, on either side
+            let partner = -1;
+            for (let d = 1; d <= pattern.distance && partner === -1; d++) {
+                for (const j of [i + d, i - d]) {
+                    if (j >= 0 && j < words.length && !used.has(j) && _keywordTermMatches(pattern.right, words[j])) {
+                        partner = j;
+                        break;
+                    }
+                }
+            }
+            if (partner === -1) return;
+
+            used.add(i);
+            used.add(partner);
+            const [first, last] = i < partner ? [i, partner] : [partner, i];
+            spans.push({ start: words[first].start, end: words[last].end });
+        });
+        return spans.sort((a, b) => a.start - b.start);
+    }
+
+    // Index of the last word of a match starting at word w, or -1; gaps take as few words as possible
+    const matchFrom = (t, w) => {
+        if (t === pattern.terms.length) return w - 1;
+        const term = pattern.terms[t];
+        if (term.kind === 'gap') {
+            for (let skip = 1; skip <= term.max && w + skip < words.length; skip++) {
+                const end = matchFrom(t + 1, w + skip);
+                if (end !== -1) return end;
+            }
+            return -1;
+        }
+        return w < words.length && _keywordTermMatches(term, words[w]) ? matchFrom(t + 1, w + 1) : -1;
+    };
+
+    for (let i = 0; i < words.length;) {
+        const end = matchFrom(0, i);
+        if (end === -1) {
+            i++;
+            continue;
+        }
+        spans.push({ start: words[i].start, end: words[end].end });
+        i = end + 1;
+    }
+    return spans;
+}
+
+// =============================================================================
+// NEGATION - "this is not a giveaway" shouldn't score like "giveaway"
+// =============================================================================
+
+// Custom keywords can also lower the score ("from the conference", a company name)
+const CUSTOM_KEYWORD_MIN_WEIGHT = -10;
+const CUSTOM_KEYWORD_MAX_WEIGHT = 10;
+
+// Words that cancel a spam keyword shortly after them, in English and the language-pack languages
+const NEGATION_WORDS = new Set([
+    'not', 'no', 'never', 'without', 'nor', 'neither', 'cannot',
+    "don't", "doesn't", "didn't", "isn't", "aren't", "wasn't", "weren't", "won't", "can't", "ain't",
+    'dont', 'doesnt', 'didnt', 'isnt', 'arent', 'wasnt', 'werent', 'cant',
+    'nunca', 'não', 'nao', 'nicht', 'kein', 'keine', 'nahi', 'nahin', 'tidak', 'bukan'
+]);
+const NEGATION_WINDOW = 3;                   // Words before a keyword that are checked for a negation
+const NEGATION_LOOKBACK_CHARS = 80;
+const NEGATION_CLAUSE_BREAK_REGEX = /[.!?;:,\n][^.!?;:,\n]*$/;
+
+/**
+ * Find a negation word shortly before a keyword match, in the same clause
+ * "not a real giveaway" is negated, "not a scam, giveaway" and "don't miss" (a keyword on its own) aren't
+ * @param {string} text - Lowercase text the match was found in
+ * @param {number} start - Start of the keyword match
+ * @returns {{word: string, start: number, end: number}|null}
+ */
+function findNegation(text, start) {
+    const from = Math.max(0, start - NEGATION_LOOKBACK_CHARS);
+    let before = text.slice(from, start);
+    const clauseBreak = before.search(NEGATION_CLAUSE_BREAK_REGEX);
+    const offset = clauseBreak === -1 ? from : from + clauseBreak + 1;
+    before = text.slice(offset, start);
+
+    const words = Array.from(before.matchAll(KEYWORD_WORD_REGEX));
+    // The first word may have been cut in half by the lookback limit
+    if (offset === from && from > 0) words.shift();
+
+    for (const match of words.slice(-NEGATION_WINDOW).reverse()) {
+        if (NEGATION_WORDS.has(match[0].replace(/’/g, "'"))) {
+            return { word: match[0], start: offset + match.index, end: offset + match.index + match[0].length };
+        }
+    }
+    return null;
+}
+
+// =============================================================================
+// CUSTOM REGEX RULES - User-defined patterns from the options page
+// =============================================================================
+
+// Limits for user-defined rules
+const REGEX_RULE_MAX_PATTERN_LENGTH = 200;
+const REGEX_RULE_MAX_NAME_LENGTH = 40;
+const REGEX_RULE_MIN_WEIGHT = 1;
+const REGEX_RULE_MAX_WEIGHT = 10;
+const REGEX_RULE_MAX_INPUT_LENGTH = 1000;   // Characters of a message the rules run on
+const REGEX_RULE_SLOW_MS = 50;              // A rule that takes longer on one message is switched off until the rules change
+
+// Characters tried against two repeated tokens to see whether they can match the same text
+const REGEX_OVERLAP_PROBES = [
+    ...Array.from({ length: 95 }, (_, i) => String.fromCharCode(32 + i)),
+    '\t', '\n', '\u00A0', 'é', 'ß', 'я', 'α', '中'
+];
+
+/**
+ * Check whether two single-character tokens (a, \d, [a-z], .) can match the same character
+ * @param {string} a - Token source
+ * @param {string} b - Token source
+ * @returns {boolean} true when in doubt
+ */
+function _regexTokensOverlap(a, b) {
+    try {
+        const first = new RegExp(`^(?:${a})$`, 'i');
+        const second = new RegExp(`^(?:${b})$`, 'i');
+        return REGEX_OVERLAP_PROBES.some(probe => first.test(probe) && second.test(probe));
+    } catch (e) {
+        return true;
+    }
+}
+
+/**
+ * Find common constructs that make a regex backtrack catastrophically
+ * Flags a group repeated more than once that contains a repeated token (e.g. (a+)+, (\w*\s?)*, (.*a){12})
+ * or an alternation (e.g. (a|a)*, (a|aa)+), unbounded tokens next to each other that can match the same
+ * text (e.g. \d*\d*, .*.*, \w+\d+), and backreferences.
+ * This static check only catches the usual shapes; calculateSpamScore also limits how much text the
+ * rules see and switches off a rule that runs slow (REGEX_RULE_MAX_INPUT_LENGTH, REGEX_RULE_SLOW_MS)
+ * @param {string} pattern - Regex source
+ * @returns {string|null} Reason the pattern is unsafe, or null
+ */
+function findBacktrackingRisk(pattern) {
+    // Each open group tracks whether it contains a repeated token or an alternation, and the
+    // single-character token before the current position if it was repeated without an upper bound
+    const newGroup = () => ({ repeats: false, alternates: false, unboundedToken: null });
+    const groups = [newGroup()];
+    let lastGroup = groups[0];
+    let previousWasGroup = false;
+    let previousToken = null;       // Source of the single-character token a quantifier would apply to
+    let previousWasQuantifier = false;
+
+    // A token without a quantifier sits between the unbounded token before it and the next one
+    const startToken = (group, source) => {
+        if (previousToken) group.unboundedToken = null;
+        previousToken = source;
+        previousWasGroup = false;
+        previousWasQuantifier = false;
+    };
+
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        const group = groups[groups.length - 1];
+
+        if (char === '\\') {
+            const next = pattern[i + 1] || '';
+            if (/[1-9]/.test(next) || next === 'k') {
+                return 'Backreferences are not allowed';
+            }
+            const escape = /^\\(?:x[0-9a-fA-F]{2}|u[0-9a-fA-F]{4}|c[A-Za-z]|[\s\S])/.exec(pattern.slice(i))[0];
+            i += escape.length - 1;
+            startToken(group, /^\\[bB]$/.test(escape) ? null : escape);
+            continue;
+        }
+
+        if (char === '[') {
+            // Skip the character class, honoring escapes and a leading ]
+            const start = i;
+            i++;
+            if (pattern[i] === '^') i++;
+            if (pattern[i] === ']') i++;
+            while (i < pattern.length && pattern[i] !== ']') {
+                if (pattern[i] === '\\') i++;
+                i++;
+            }
+            startToken(group, pattern.slice(start, i + 1));
+            continue;
+        }
+
+        if (char === '(') {
+            groups.push(newGroup());
+            previousWasGroup = false;
+            previousToken = null;
+            previousWasQuantifier = false;
+            continue;
+        }
+
+        if (char === ')') {
+            lastGroup = groups.length > 1 ? groups.pop() : newGroup();
+            groups[groups.length - 1].repeats ||= lastGroup.repeats;
+            groups[groups.length - 1].alternates ||= lastGroup.alternates;
+            groups[groups.length - 1].unboundedToken = null;
+            previousWasGroup = true;
+            previousToken = null;
+            previousWasQuantifier = false;
+            continue;
+        }
+
+        if (char === '|') {
+            group.alternates = true;
+            group.unboundedToken = null;
+            previousWasGroup = false;
+            previousToken = null;
+            previousWasQuantifier = false;
+            continue;
+        }
+
+        // "?" after a quantifier only makes it lazy
+        if (char === '?' && previousWasQuantifier) {
+            previousWasQuantifier = false;
+            continue;
+        }
+
+        // repeating: the token matches a variable number of times ({3} is fixed, so \d{3} has a fixed width)
+        // multiplying: it matches more than once, which is enough to make a variable-width group explode
+        // unbounded: there is no upper limit, like * and +
+        let repeating = char === '*' || char === '+';
+        let multiplying = repeating;
+        let unbounded = repeating;
+        let quantifier = repeating || char === '?';
+        if (char === '{') {
+            const bound = /^\{(\d+)(?:,(\d*))?\}/.exec(pattern.slice(i));
+            if (bound) {
+                const max = bound[2] === undefined ? Number(bound[1]) : bound[2] === '' ? Infinity : Number(bound[2]);
+                repeating = bound[2] !== undefined && max > Number(bound[1]) && max > 1;
+                multiplying = max > 1;
+                unbounded = max === Infinity;
+                quantifier = true;
+                i += bound[0].length - 1;
+            }
+        }
+
+        if (!quantifier) {
+            // Any other character is a token of its own; anchors match no text
+            startToken(group, char === '^' || char === '$' ? null : char);
+            continue;
+        }
+
+        if (unbounded && previousToken) {
+            if (group.unboundedToken && _regexTokensOverlap(group.unboundedToken, previousToken)) {
+                return 'Repeated tokens next to each other like \\d*\\d* or .*.* can freeze the page - use one of them';
+            }
+            group.unboundedToken = previousToken;
+        } else {
+            group.unboundedToken = null;
+        }
+
+        if (multiplying && previousWasGroup) {
+            if (lastGroup.repeats) {
+                return 'Nested repetition like (a+)+ can freeze the page';
+            }
+            if (lastGroup.alternates) {
+                return 'Alternation inside a repeated group like (a|aa)+ can freeze the page - use a character class like [ab]+ instead';
+            }
+        }
+        if (repeating) {
+            group.repeats = true;
+        }
+        previousWasGroup = false;
+        previousToken = null;
+        previousWasQuantifier = true;
+    }
+
+    return null;
+}
+
+/**
+ * Validate a user-defined regex rule
+ * @param {{name: string, pattern: string, weight: number}} rule - Rule as entered in the options page
+ * @returns {{rule: Object|null, regex: RegExp|null, error: string|null}}
+ *          rule is the cleaned-up rule to store, regex its compiled global, case-insensitive form
+ */
+function validateRegexRule(rule) {
+    const name = String(rule?.name || '').trim().toLowerCase();
+    const pattern = String(rule?.pattern || '').trim();
+    const weight = Math.round(Number(rule?.weight));
+    const category = rule?.category || null;
+    const fail = (error) => ({ rule: null, regex: null, error });
+
+    if (!name) return fail('Rule name is required');
+    if (name.length > REGEX_RULE_MAX_NAME_LENGTH) return fail(`Rule name must be at most ${REGEX_RULE_MAX_NAME_LENGTH} characters`);
+    if (!/^[a-z0-9 _-]+$/.test(name)) return fail('Rule name may only contain letters, numbers, spaces, _ and -');
+
+    if (!pattern) return fail('Pattern is required');
+    if (pattern.length > REGEX_RULE_MAX_PATTERN_LENGTH) return fail(`Pattern must be at most ${REGEX_RULE_MAX_PATTERN_LENGTH} characters`);
+
+    if (!Number.isFinite(weight) || weight < REGEX_RULE_MIN_WEIGHT || weight > REGEX_RULE_MAX_WEIGHT) {
+        return fail(`Weight must be between ${REGEX_RULE_MIN_WEIGHT} and ${REGEX_RULE_MAX_WEIGHT}`);
+    }
+
+    if (category && !isValidSpamCategory(category)) {
+        return fail(`Category must be one of ${SPAM_CATEGORIES.join(', ')}`);
+    }
+
+    let regex;
+    try {
+        regex = new RegExp(pattern, 'gi');
+    } catch (e) {
+        return fail(`Invalid regex: ${e.message}`);
+    }
+
+    if (new RegExp(`^(?:${pattern})$`, 'i').test('')) {
+        return fail('Pattern must not match empty text');
+    }
+
+    const risk = findBacktrackingRisk(pattern);
+    if (risk) return fail(risk);
+
+    return { rule: { name, pattern, weight, ...(category && { category }) }, regex, error: null };
+}
+
+/**
+ * Get the compiled rule-pack and custom regex rules, skipping any stored rule that no longer validates
+ * A custom rule replaces a rule-pack rule with the same name, and earlier packs win over later ones
+ * @returns {Array<{key: string, weight: number, category: string|null, regex: RegExp, slow?: boolean}>} key is the
+ *          matchedKeywords key; slow is set by calculateSpamScore on a rule that took too long
+ */
+function _getCustomRegexes() {
+    if (!_customRegexes) {
+        const compile = (stored, key) => {
+            const { rule, regex, error } = validateRegexRule(stored);
+            if (error) {
+                console.log(`XSpamSweeper: Skipping invalid regex rule "${stored?.name}": ${error}`);
+                return null;
+            }
+            return { key: key(rule.name), weight: rule.weight, category: rule.category || null, regex };
+        };
+
+        const custom = customRegexRules
+            .map(stored => compile(stored, name => `regex:custom:${name}`))
+            .filter(Boolean);
+
+        const taken = new Set(customRegexRules.map(stored => String(stored?.name || '').trim().toLowerCase()));
+        const packed = [];
+        for (const pack of getEnabledRulePacks()) {
+            for (const stored of pack.rules.regexRules || []) {
+                const name = String(stored?.name || '').trim().toLowerCase();
+                if (taken.has(name)) continue;
+                taken.add(name);
+                const compiled = compile(stored, ruleName => `regex:pack:${pack.name}:${ruleName}`);
+                if (compiled) packed.push(compiled);
+            }
+        }
+
+        _customRegexes = [...packed, ...custom];
+    }
+    return _customRegexes;
+}
+
+// =============================================================================
+// RULE PACKS - Importable JSON bundles of domains, keywords and regex rules
+// =============================================================================
+
+/**
+ * Rule-pack file format
+ * {
+ *   "format": "x-spam-sweeper-rule-pack",
+ *   "formatVersion": 1,
+ *   "name": "Team blocklist", "version": "1.2.0", "author": "Security team", "date": "2026-03-01",
+ *   "description": "optional",
+ *   "rules": {
+ *     "highRiskDomains": ["scam.example"], "mediumRiskDomains": ["short.example"],
+ *     "safeDomains": ["partner.example"], "keywords": {"free money": 4},
+ *     "regexRules": [{"name": "usdt amount", "pattern": "\\d+\\s*usdt", "weight": 5}]
+ *   }
+ * }
+ * Precedence when rules overlap: custom rules > enabled packs (first in the list wins) > built-in rules
+ * Packs are stored in chrome.storage.local as {pack, enabled, importedAt, source: 'file'|'url'};
+ * subscriptions ('url') also carry url, etag, lastModified, sha256 and fetch status fields
+ */
+const RULE_PACK_FORMAT = 'x-spam-sweeper-rule-pack';
+const RULE_PACK_FORMAT_VERSION = 1;
+const RULE_PACK_MAX_NAME_LENGTH = 60;
+const RULE_PACK_MAX_DOMAINS = 5000;
+const RULE_PACK_MAX_KEYWORDS = 2000;
+const RULE_PACK_MAX_REGEX_RULES = 200;
+
+/**
+ * Check if a domain entry looks like a hostname with an optional path ("t.me", "discord.com/invite")
+ * @param {string} entry - Domain entry
+ * @returns {boolean}
+ */
+function isValidDomainEntry(entry) {
+    if (typeof entry !== 'string') return false;
+    const { domain, path } = parseDomainEntry(entry);
+    return /^([a-z0-9]([a-z0-9-]*[a-z0-9])?\.)+([a-z]{2,63}|xn--[a-z0-9-]+)$/.test(domain) && !/\s/.test(path);
+}
+
+/**
+ * Validate an imported rule pack and return a cleaned-up copy
+ * The whole pack is rejected on the first invalid entry, so a typo never half-applies
+ * @param {Object} data - Parsed JSON
+ * @returns {{pack: Object|null, error: string|null}}
+ */
+function validateRulePack(data) {
+    const fail = (error) => ({ pack: null, error });
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) return fail('Rule pack must be a JSON object');
+    if (data.format !== RULE_PACK_FORMAT) return fail(`"format" must be "${RULE_PACK_FORMAT}"`);
+    if (!Number.isInteger(data.formatVersion) || data.formatVersion < 1) return fail('"formatVersion" must be a positive integer');
+    if (data.formatVersion > RULE_PACK_FORMAT_VERSION) {
+        return fail(`Rule pack format ${data.formatVersion} is newer than this extension supports (${RULE_PACK_FORMAT_VERSION})`);
+    }
+
+    const name = typeof data.name === 'string' ? data.name.trim() : '';
+    if (!name) return fail('"name" is required');
+    if (name.length > RULE_PACK_MAX_NAME_LENGTH) return fail(`"name" must be at most ${RULE_PACK_MAX_NAME_LENGTH} characters`);
+
+    const version = typeof data.version === 'string' ? data.version.trim() : '';
+    if (!/^\d+(\.\d+){0,2}([-+][0-9a-z.-]+)?$/i.test(version)) return fail('"version" must look like 1.2.0');
+
+    const author = typeof data.author === 'string' ? data.author.trim() : '';
+    if (!author) return fail('"author" is required');
+
+    const date = typeof data.date === 'string' ? data.date.trim() : '';
+    if (!/^\d{4}-\d{2}-\d{2}/.test(date) || Number.isNaN(Date.parse(date))) return fail('"date" must be an ISO date like 2026-03-01');
+
+    const rules = data.rules;
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) return fail('"rules" must be an object');
+
+    const cleaned = {};
+    for (const listName of ['highRiskDomains', 'mediumRiskDomains', 'safeDomains']) {
+        const list = rules[listName] ?? [];
+        if (!Array.isArray(list)) return fail(`"rules.${listName}" must be an array`);
+        if (list.length > RULE_PACK_MAX_DOMAINS) return fail(`"rules.${listName}" has more than ${RULE_PACK_MAX_DOMAINS} entries`);
+        const invalid = list.find(entry => !isValidDomainEntry(entry));
+        if (invalid !== undefined) return fail(`Invalid domain in "rules.${listName}": ${JSON.stringify(invalid)}`);
+        cleaned[listName] = [...new Set(list.map(entry => {
+            const { domain, path } = parseDomainEntry(entry);
+            return domain + path;
+        }))];
+    }
+
+    const keywords = rules.keywords ?? {};
+    if (typeof keywords !== 'object' || Array.isArray(keywords)) return fail('"rules.keywords" must be an object of keyword: weight');
+    if (Object.keys(keywords).length > RULE_PACK_MAX_KEYWORDS) return fail(`"rules.keywords" has more than ${RULE_PACK_MAX_KEYWORDS} entries`);
+    cleaned.keywords = {};
+    for (const [keyword, weight] of Object.entries(keywords)) {
+        const lowerKeyword = keyword.trim().toLowerCase();
+        if (!lowerKeyword) return fail('Empty keyword in "rules.keywords"');
+        if (!Number.isInteger(weight) || weight < 1 || weight > 10) {
+            return fail(`Keyword "${keyword}" needs a whole-number weight from 1 to 10`);
+        }
+        cleaned.keywords[lowerKeyword] = weight;
+    }
+
+    const regexRules = rules.regexRules ?? [];
+    if (!Array.isArray(regexRules)) return fail('"rules.regexRules" must be an array');
+    if (regexRules.length > RULE_PACK_MAX_REGEX_RULES) return fail(`"rules.regexRules" has more than ${RULE_PACK_MAX_REGEX_RULES} entries`);
+    cleaned.regexRules = [];
+    for (const stored of regexRules) {
+        const { rule, error } = validateRegexRule(stored);
+        if (error) return fail(`Regex rule "${stored?.name ?? ''}": ${error}`);
+        cleaned.regexRules.push(rule);
+    }
+
+    const ruleCount = cleaned.highRiskDomains.length + cleaned.mediumRiskDomains.length + cleaned.safeDomains.length +
+        Object.keys(cleaned.keywords).length + cleaned.regexRules.length;
+    if (ruleCount === 0) return fail('Rule pack contains no rules');
+
+    const pack = { format: RULE_PACK_FORMAT, formatVersion: data.formatVersion, name, version, author, date, rules: cleaned };
+    if (typeof data.description === 'string' && data.description.trim()) {
+        pack.description = data.description.trim();
+    }
+    return { pack, error: null };
+}
+
+/**
+ * Compare two rule-pack versions numerically ("1.10.0" > "1.9.2"); pre-release tags are ignored
+ * @param {string} a - Version
+ * @param {string} b - Version
+ * @returns {number} Negative if a is older than b, positive if newer, 0 if equal
+ */
+function compareRulePackVersions(a, b) {
+    const parts = (version) => String(version).split(/[-+]/)[0].split('.').map(Number);
+    const [left, right] = [parts(a), parts(b)];
+    for (let i = 0; i < 3; i++) {
+        const diff = (left[i] || 0) - (right[i] || 0);
+        if (diff !== 0) return diff;
+    }
+    return 0;
+}
+
+/**
+ * Replace the loaded rule packs, resetting compiled matchers when they changed
+ * @param {Array} packs - Stored rule-pack entries ({pack, enabled, importedAt, source})
+ */
+function setRulePacks(packs) {
+    if (JSON.stringify(packs) === JSON.stringify(rulePacks)) return;
+    rulePacks = packs;
+    _keywordMatcher = null;
+    _customRegexes = null;
+}
+
+/**
+ * Get the enabled rule packs in precedence order
+ * Subscriptions that have not downloaded a pack yet are skipped
+ * @returns {Array<Object>} Validated packs
+ */
+function getEnabledRulePacks() {
+    return rulePacks.filter(entry => entry.enabled && entry.pack?.rules).map(entry => entry.pack);
+}
+
+// =============================================================================
+// URL EXTRACTION - Real hostnames instead of substring checks
+// =============================================================================
+
+/**
+ * Links with a scheme, or bare domains like "t.me/name" and "bit.ly"
+ * Bare domains must start at a word boundary and not be part of an email address or @handle
+ */
+const URL_CANDIDATE_REGEX = /\bhttps?:\/\/[^\s<>"']+|(?<![\p{L}\p{N}@._-])(?:[\p{L}\p{N}](?:[\p{L}\p{N}-]*[\p{L}\p{N}])?\.)+(?:\p{L}{2,63}|xn--[a-z0-9-]+)(?![\p{L}\p{N}-])(?:[/?#][^\s<>"']*)?/giu;
+
+/**
+ * Extract URLs and bare domains from text
+ * @param {string} text - Message text
+ * @returns {Array<{text: string, start: number, end: number, hostname: string, pathname: string, registrableDomain: string}>}
+ *          hostname is lowercase and punycode-encoded, start/end are offsets into text
+ */
+function extractUrls(text) {
+    if (!text) return [];
+
+    const urls = [];
+    for (const match of text.matchAll(URL_CANDIDATE_REGEX)) {
+        // Sentence punctuation after a link is not part of it
+        const candidate = match[0].replace(/[.,;:!?)\]}'"]+$/, '');
+        let parsed;
+        try {
+            parsed = new URL(/^https?:\/\//i.test(candidate) ? candidate : `http://${candidate}`);
+        } catch {
+            continue;
+        }
+
+        const hostname = parsed.hostname.replace(/\.$/, '');
+        if (!hostname.includes('.')) continue;
+
+        urls.push({
+            text: candidate,
+            start: match.index,
+            end: match.index + candidate.length,
+            hostname,
+            pathname: parsed.pathname,
+            registrableDomain: getRegistrableDomain(hostname)
+        });
+    }
+    return urls;
+}
+
+/**
+ * Get the registrable domain of a hostname ("a.b.example.co.uk" -> "example.co.uk")
+ * @param {string} hostname - Lowercase hostname
+ * @returns {string}
+ */
+function getRegistrableDomain(hostname) {
+    const labels = hostname.split('.');
+    if (labels.length <= 2) return hostname;
+
+    const lastTwo = labels.slice(-2).join('.');
+    const size = MULTI_PART_SUFFIXES.has(lastTwo) ? 3 : 2;
+    return labels.slice(-size).join('.');
+}
+
+/**
+ * Turn a user- or list-supplied domain entry into {domain, path}
+ * Accepts "example.com", "www.example.com/path" or full URLs
+ * @param {string} entry - Domain entry
+ * @returns {{domain: string, path: string}}
+ */
+function parseDomainEntry(entry) {
+    const cleaned = String(entry).trim().toLowerCase()
+        .replace(/^https?:\/\//, '')
+        .replace(/^www\./, '')
+        .replace(/\/+$/, '');
+    const slash = cleaned.indexOf('/');
+    return slash === -1
+        ? { domain: cleaned, path: '' }
+        : { domain: cleaned.slice(0, slash), path: cleaned.slice(slash) };
+}
+
+/**
+ * Check if an extracted URL belongs to a domain entry
+ * Matches the domain itself and its subdomains, never a longer look-alike (youtube.com.evil.xyz);
+ * a path prefix only matches whole path segments ("discord.com/invite" doesn't match "/invitex")
+ * @param {Object} url - Entry from extractUrls
+ * @param {string} entry - Domain entry, optionally with a path prefix ("discord.com/invite")
+ * @returns {boolean}
+ */
+function urlMatchesDomain(url, entry) {
+    const { domain, path } = parseDomainEntry(entry);
+    if (!domain) return false;
+    const hostMatch = url.hostname === domain || url.hostname.endsWith(`.${domain}`);
+    if (!hostMatch || !path) return hostMatch;
+
+    const pathname = url.pathname.toLowerCase();
+    const next = pathname.charAt(path.length);
+    return pathname.startsWith(path) && (next === '' || '/?#'.includes(next));
+}
+
+// =============================================================================
+// DOMAIN HEURISTICS - Structural red flags for domains that are on no list
+// =============================================================================
+
+/**
+ * Points per domain feature, each counted once per message
+ * Only applied to links that no domain list (built-in, pack or custom) classified
+ */
+const DOMAIN_FEATURE_WEIGHTS = {
+    typosquat: 15,      // Near miss of a brand ("c0inbase-app.com", "metamaks.io")
+    punycode: 8,        // Internationalized hostname, shown as look-alike Unicode by browsers
+    riskyTld: 6,        // Cheap TLDs that dominate abuse reports
+    subdomains: 4       // "login.secure.wallet.example.xyz"
+};
+const DOMAIN_FEATURE_MAX_SCORE = 20;
+
+const DOMAIN_FEATURE_LABELS = {
+    typosquat: 'brand look-alike',
+    punycode: 'punycode hostname',
+    riskyTld: 'risky TLD',
+    subdomains: 'many subdomains'
+};
+
+// Brand look-alikes are phishing; the other features say nothing about the kind of spam
+const DOMAIN_FEATURE_CATEGORIES = {
+    typosquat: 'Phishing'
+};
+
+/**
+ * Cheap or free TLDs that are over-represented in phishing and scam reports
+ */
+const RISKY_TLDS = new Set([
+    'autos', 'beauty', 'bid', 'bond', 'buzz', 'cam', 'cf', 'cfd', 'click', 'cyou', 'date',
+    'download', 'ga', 'gq', 'hair', 'icu', 'lol', 'loan', 'makeup', 'men', 'ml', 'monster',
+    'mov', 'pw', 'quest', 'racing', 'rest', 'review', 'sbs', 'skin', 'stream', 'tk', 'top',
+    'win', 'xyz', 'zip'
+]);
+
+// Subdomain labels (not counting "www") from which a hostname looks built to hide its real domain
+const DOMAIN_MAX_SUBDOMAINS = 3;
+
+/**
+ * Brands scammers typosquat, with the registrable domains that really belong to them
+ */
+const TYPOSQUAT_BRANDS = {
+    binance: ['binance.com', 'binance.us'],
+    blockchain: ['blockchain.com'],
+    bybit: ['bybit.com'],
+    coinbase: ['coinbase.com'],
+    etherscan: ['etherscan.io'],
+    kraken: ['kraken.com'],
+    kucoin: ['kucoin.com'],
+    ledger: ['ledger.com'],
+    metamask: ['metamask.io'],
+    opensea: ['opensea.io'],
+    pancakeswap: ['pancakeswap.finance'],
+    paypal: ['paypal.com', 'paypal.me'],
+    phantom: ['phantom.app', 'phantom.com'],
+    trezor: ['trezor.io'],
+    trustwallet: ['trustwallet.com'],
+    uniswap: ['uniswap.org'],
+    walletconnect: ['walletconnect.com', 'walletconnect.network']
+};
+const TYPOSQUAT_LONG_BRAND = 10;    // From this length two edits are still a typosquat
+
+// Brand skeletons, computed on first use
+// eslint-disable-next-line no-var
+var _typosquatSkeletons = null;
+
+/**
+ * Find the brand a hostname label imitates
+ * Labels are compared by skeleton, so "b1nance" and "coin-base" count as exact copies
+ * @param {string} label - One hostname label
+ * @returns {string|null} Brand name
+ */
+function _findTyposquatBrand(label) {
+    const skeleton = getNameSkeleton(label);
+    if (skeleton.length < IMPERSONATION_MIN_LENGTH) return null;
+
+    _typosquatSkeletons = _typosquatSkeletons ||
+        Object.keys(TYPOSQUAT_BRANDS).map(brand => [brand, getNameSkeleton(brand)]);
+
+    for (const [brand, brandSkeleton] of _typosquatSkeletons) {
+        const maxDistance = brand.length >= TYPOSQUAT_LONG_BRAND ? 2 : 1;
+        // A brand with a word glued on ("metamask-wallet" is one label after punctuation is dropped)
+        if (skeleton.length > brandSkeleton.length + maxDistance &&
+            (skeleton.startsWith(brandSkeleton) || skeleton.endsWith(brandSkeleton))) {
+            return brand;
+        }
+        if (boundedEditDistance(skeleton, brandSkeleton, maxDistance) <= maxDistance) return brand;
+    }
+    return null;
+}
+
+/**
+ * Structural red flags of one URL's hostname
+ * @param {Object} url - Entry from extractUrls
+ * @returns {Array<{feature: string, detail: string}>} feature is a key of DOMAIN_FEATURE_WEIGHTS
+ */
+function getDomainFeatures(url) {
+    const features = [];
+    const labels = url.hostname.split('.');
+    const suffixSize = url.registrableDomain.split('.').length - 1;
+    const tld = labels[labels.length - 1];
+
+    if (labels.some(label => label.startsWith('xn--'))) {
+        features.push({ feature: 'punycode', detail: url.hostname });
+    }
+
+    if (RISKY_TLDS.has(tld)) {
+        features.push({ feature: 'riskyTld', detail: `.${tld}` });
+    }
+
+    const subdomains = labels.slice(0, labels.length - suffixSize - 1).filter(label => label !== 'www');
+    if (subdomains.length >= DOMAIN_MAX_SUBDOMAINS) {
+        features.push({ feature: 'subdomains', detail: `${subdomains.length} subdomains` });
+    }
+
+    // Any label but the public suffix can carry the brand ("binance.com.secure-login.xyz")
+    for (const label of labels.slice(0, labels.length - suffixSize)) {
+        const brand = _findTyposquatBrand(label);
+        if (brand && !TYPOSQUAT_BRANDS[brand].includes(url.registrableDomain)) {
+            features.push({ feature: 'typosquat', detail: brand });
+            break;
+        }
+    }
+
+    return features;
+}
+
+/**
+ * Score the structure of links that no domain list knows
+ * @param {Array} urls - Entries from extractUrls
+ * @returns {{score: number, features: Array<{feature: string, detail: string, hostname: string, start: number, end: number}>, signals: Array}}
+ *          signal spans are in the coordinates of the urls
+ */
+function scoreDomainFeatures(urls) {
+    const layers = getDomainRuleLayers();
+    const features = [];
+    for (const url of urls) {
+        const verdict = classifyUrl(url, layers);
+        if (verdict.high.length > 0 || verdict.medium.length > 0 || verdict.safe) continue;
+
+        for (const found of getDomainFeatures(url)) {
+            features.push({ ...found, hostname: url.hostname, start: url.start, end: url.end });
+        }
+    }
+
+    // Strongest features first, so the cap trims the weakest
+    const signals = [];
+    let score = 0;
+    for (const feature of Object.keys(DOMAIN_FEATURE_WEIGHTS)) {
+        const found = features.filter(entry => entry.feature === feature);
+        const points = Math.min(DOMAIN_FEATURE_WEIGHTS[feature], DOMAIN_FEATURE_MAX_SCORE - score);
+        if (found.length === 0 || points <= 0) continue;
+
+        score += points;
+        signals.push({
+            type: 'domain',
+            label: `domain: ${DOMAIN_FEATURE_LABELS[feature]} (${[...new Set(found.map(entry => entry.detail))].join(', ')})`,
+            score: points,
+            category: DOMAIN_FEATURE_CATEGORIES[feature] || null,
+            spans: found.map(({ start, end }) => ({ start, end }))
+        });
+    }
+    return { score, features, signals };
+}
+
+// =============================================================================
+// CONTACT ENTITIES - Phone numbers, messenger IDs and wallet addresses
+// =============================================================================
+
+/**
+ * Points per kind of contact entity, counted once per kind however often it appears
+ * Redirect scams paste these instead of links to get past URL filters
+ */
+const ENTITY_WEIGHTS = {
+    phone: 4,
+    telegram: 5,
+    wechat: 5,
+    btc: 6,
+    eth: 6,
+    tron: 6,
+    sol: 6
+};
+
+const ENTITY_LABELS = {
+    phone: 'phone number',
+    telegram: 'Telegram handle',
+    wechat: 'WeChat ID',
+    btc: 'BTC address',
+    eth: 'ETH address',
+    tron: 'TRON address',
+    sol: 'SOL address'
+};
+
+// Spam category of each entity type (see SPAM_CATEGORIES): contacts lead off-platform, wallets ask for money
+const ENTITY_CATEGORIES = {
+    phone: 'Redirect',
+    telegram: 'Redirect',
+    wechat: 'Redirect',
+    btc: 'Crypto',
+    eth: 'Crypto',
+    tron: 'Crypto',
+    sol: 'Crypto'
+};
+
+// International numbers ("+1 (555) 123-4567", "0044 7700 900123") need no context
+const PHONE_INTL_REGEX = /(?<![\w+])(?:\+|00)[1-9][\d\s().-]{6,22}\d(?![\w])/g;
+// Numbers without a country code only count right after a messenger or phone keyword
+const PHONE_CONTEXT_REGEX = /\b(?:whatsapp|whats app|wa|signal|viber|call|text|sms|phone|tel|mobile|cell)\b[\s:：.#=-]*(?:me\s+(?:at|on)\s+)?(\(?\d[\d\s().-]{8,20}\d)(?![\w])/gi;
+const PHONE_MIN_DIGITS = 9;
+const PHONE_MAX_DIGITS = 15;      // E.164 limit
+
+// "telegram: @name", "tg @name", "@name on telegram" - plain @mentions are X handles
+const TELEGRAM_HANDLE_REGEX = /\b(?:telegram|tg)\b(?:[^\n@]{0,25}?@|\s*[:：=]\s*)([a-z][a-z0-9_]{4,31})(?![\w])|(?<![\w@])@([a-z][a-z0-9_]{4,31})\s+(?:on|at|via)\s+(?:telegram|tg)\b/gi;
+// "wechat: name", "wx id name_88", "微信 name" - without a separator the ID must contain a digit, _ or -
+const WECHAT_ID_REGEX = /(?:\b(?:wechat|weixin|wx|vx)\b|微信)(\s*(?:id)?\s*[:：=]\s*|\s+(?:id\s+)?)@?([a-z][a-z0-9_-]{5,19})(?![\w-])/gi;
+
+// Wallet address candidates, not part of longer words or URLs
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const BTC_BASE58_REGEX = /(?<![\w/=.-])[13][1-9A-HJ-NP-Za-km-z]{25,34}(?![\w/.-])/g;
+const BTC_BECH32_REGEX = /(?<![\w/=.-])(?:bc1[02-9ac-hj-np-z]{11,71}|BC1[02-9AC-HJ-NP-Z]{11,71})(?![\w/.-])/g;
+const ETH_ADDRESS_REGEX = /(?<![\w/=.-])0x[0-9a-fA-F]{40}(?![\w/.-])/g;
+const TRON_ADDRESS_REGEX = /(?<![\w/=.-])T[1-9A-HJ-NP-Za-km-z]{33}(?![\w/.-])/g;
+const SOL_ADDRESS_REGEX = /(?<![\w/=.-])[1-9A-HJ-NP-Za-km-z]{32,44}(?![\w/.-])/g;
+
+const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const BECH32_CONST = 1;            // Witness version 0 (bc1q...)
+const BECH32M_CONST = 0x2bc830a3;  // Witness version 1+ (bc1p...), BIP-350
+
+/**
+ * SHA-256 of a byte array
+ * Synchronous because scoring is; crypto.subtle only offers a Promise API
+ * @param {Uint8Array} bytes - Input
+ * @returns {Uint8Array} 32-byte digest
+ */
+function _sha256(bytes) {
+    const K = _sha256.K || (_sha256.K = Uint32Array.from([
+        0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+        0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+        0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+        0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+        0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+        0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+        0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+        0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+    ]));
+
+    // Pad to a multiple of 64 bytes: 0x80, zeros, 64-bit big-endian bit length
+    const length = Math.ceil((bytes.length + 9) / 64) * 64;
+    const padded = new Uint8Array(length);
+    padded.set(bytes);
+    padded[bytes.length] = 0x80;
+    const view = new DataView(padded.buffer);
+    view.setUint32(length - 8, Math.floor(bytes.length / 0x20000000));
+    view.setUint32(length - 4, bytes.length * 8);
+
+    const hash = Uint32Array.from([
+        0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+    ]);
+    const w = new Uint32Array(64);
+    const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+    for (let offset = 0; offset < length; offset += 64) {
+        for (let i = 0; i < 16; i++) w[i] = view.getUint32(offset + i * 4);
+        for (let i = 16; i < 64; i++) {
+            const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+            const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+            w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+        }
+
+        let [a, b, c, d, e, f, g, h] = hash;
+        for (let i = 0; i < 64; i++) {
+            const t1 = h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[i] + w[i];
+            const t2 = (rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c));
+            h = g; g = f; f = e; e = (d + t1) | 0;
+            d = c; c = b; b = a; a = (t1 + t2) | 0;
+        }
+        hash[0] += a; hash[1] += b; hash[2] += c; hash[3] += d;
+        hash[4] += e; hash[5] += f; hash[6] += g; hash[7] += h;
+    }
+
+    const digest = new Uint8Array(32);
+    const out = new DataView(digest.buffer);
+    hash.forEach((word, i) => out.setUint32(i * 4, word));
+    return digest;
+}
+
+/**
+ * Keccak-256 as used by Ethereum (original Keccak padding, not NIST SHA3-256)
+ * @param {Uint8Array} bytes - Input
+ * @returns {Uint8Array} 32-byte digest
+ */
+function _keccak256(bytes) {
+    const RATE = 136;
+    const mask = (1n << 64n) - 1n;
+    const rotl = (x, n) => n === 0 ? x : ((x << BigInt(n)) | (x >> BigInt(64 - n))) & mask;
+    const ROTATIONS = [0, 1, 62, 28, 27, 36, 44, 6, 55, 20, 3, 10, 43, 25, 39, 41, 45, 15, 21, 8, 18, 2, 61, 56, 14];
+    const ROUND_CONSTANTS = _keccak256.RC || (_keccak256.RC = (() => {
+        // Round constants from the degree-8 LFSR of the Keccak reference
+        const constants = [];
+        let r = 1;
+        for (let round = 0; round < 24; round++) {
+            let c = 0n;
+            for (let j = 0; j < 7; j++) {
+                if (r & 1) c |= 1n << BigInt((1 << j) - 1);
+                r = (r << 1) ^ (r & 0x80 ? 0x171 : 0);
+            }
+            constants.push(c);
+        }
+        return constants;
+    })());
+
+    const padded = new Uint8Array(Math.floor(bytes.length / RATE + 1) * RATE);
+    padded.set(bytes);
+    padded[bytes.length] ^= 0x01;
+    padded[padded.length - 1] ^= 0x80;
+
+    const state = new Array(25).fill(0n);
+    const view = new DataView(padded.buffer);
+    for (let offset = 0; offset < padded.length; offset += RATE) {
+        for (let i = 0; i < RATE / 8; i++) state[i] ^= view.getBigUint64(offset + i * 8, true);
+
+        for (let round = 0; round < 24; round++) {
+            // Theta
+            const columns = [0, 1, 2, 3, 4].map(x =>
+                state[x] ^ state[x + 5] ^ state[x + 10] ^ state[x + 15] ^ state[x + 20]);
+            for (let x = 0; x < 5; x++) {
+                const d = columns[(x + 4) % 5] ^ rotl(columns[(x + 1) % 5], 1);
+                for (let y = 0; y < 25; y += 5) state[x + y] ^= d;
+            }
+            // Rho and pi
+            const moved = new Array(25);
+            for (let x = 0; x < 5; x++) {
+                for (let y = 0; y < 5; y++) {
+                    moved[y + 5 * ((2 * x + 3 * y) % 5)] = rotl(state[x + 5 * y], ROTATIONS[x + 5 * y]);
+                }
+            }
+            // Chi and iota
+            for (let y = 0; y < 25; y += 5) {
+                for (let x = 0; x < 5; x++) {
+                    state[x + y] = moved[x + y] ^ (~moved[(x + 1) % 5 + y] & mask & moved[(x + 2) % 5 + y]);
+                }
+            }
+            state[0] ^= ROUND_CONSTANTS[round];
+        }
+    }
+
+    const digest = new Uint8Array(32);
+    const out = new DataView(digest.buffer);
+    for (let i = 0; i < 4; i++) out.setBigUint64(i * 8, state[i], true);
+    return digest;
+}
+
+/**
+ * Decode a base58 string
+ * @param {string} text - Base58 text
+ * @returns {Uint8Array|null} Bytes, or null on characters outside the alphabet
+ */
+function _decodeBase58(text) {
+    const bytes = [];
+    for (const ch of text) {
+        let carry = BASE58_ALPHABET.indexOf(ch);
+        if (carry < 0) return null;
+        for (let i = 0; i < bytes.length; i++) {
+            carry += bytes[i] * 58;
+            bytes[i] = carry & 0xff;
+            carry >>= 8;
+        }
+        while (carry > 0) {
+            bytes.push(carry & 0xff);
+            carry >>= 8;
+        }
+    }
+    // Each leading "1" is a leading zero byte
+    for (let i = 0; i < text.length && text[i] === '1'; i++) bytes.push(0);
+    return Uint8Array.from(bytes.reverse());
+}
+
+/**
+ * Decode a base58check string (payload + 4-byte double SHA-256 checksum)
+ * @param {string} text - Base58check text
+ * @returns {Uint8Array|null} Payload including the version byte, or null if the checksum fails
+ */
+function _decodeBase58Check(text) {
+    const bytes = _decodeBase58(text);
+    if (!bytes || bytes.length < 5) return null;
+
+    const payload = bytes.subarray(0, bytes.length - 4);
+    const checksum = _sha256(_sha256(payload));
+    for (let i = 0; i < 4; i++) {
+        if (checksum[i] !== bytes[payload.length + i]) return null;
+    }
+    return payload;
+}
+
+/**
+ * Check a bech32/bech32m Bitcoin address ("bc1q...", "bc1p...")
+ * @param {string} address - Candidate address
+ * @returns {boolean}
+ */
+function _isValidBech32Address(address) {
+    const lower = address.toLowerCase();
+    const separator = lower.lastIndexOf('1');
+    const hrp = lower.slice(0, separator);
+    const data = Array.from(lower.slice(separator + 1), ch => BECH32_CHARSET.indexOf(ch));
+    if (hrp !== 'bc' || data.length < 7 || data.includes(-1)) return false;
+
+    const GENERATORS = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+    let checksum = 1;
+    const values = [
+        ...Array.from(hrp, ch => ch.charCodeAt(0) >> 5),
+        0,
+        ...Array.from(hrp, ch => ch.charCodeAt(0) & 31),
+        ...data
+    ];
+    for (const value of values) {
+        const top = checksum >>> 25;
+        checksum = ((checksum & 0x1ffffff) << 5) ^ value;
+        GENERATORS.forEach((generator, i) => {
+            if ((top >>> i) & 1) checksum ^= generator;
+        });
+    }
+
+    // Version 0 uses the original bech32 constant, later versions bech32m
+    return checksum === (data[0] === 0 ? BECH32_CONST : BECH32M_CONST);
+}
+
+/**
+ * Check an Ethereum address
+ * All-lowercase and all-uppercase addresses carry no checksum; mixed case must match EIP-55
+ * @param {string} address - "0x" followed by 40 hex digits
+ * @returns {boolean}
+ */
+function _isValidEthAddress(address) {
+    const hex = address.slice(2);
+    if (hex === hex.toLowerCase() || hex === hex.toUpperCase()) return true;
+
+    const hash = _keccak256(Uint8Array.from(hex.toLowerCase(), ch => ch.charCodeAt(0)));
+    for (let i = 0; i < 40; i++) {
+        const nibble = (hash[i >> 1] >> (i % 2 === 0 ? 4 : 0)) & 0xf;
+        const expectUpper = nibble >= 8;
+        if (/[a-f]/i.test(hex[i]) && (hex[i] === hex[i].toUpperCase()) !== expectUpper) return false;
+    }
+    return true;
+}
+
+/**
+ * Find phone numbers, messenger IDs and wallet addresses in text
+ * Wallets are only reported when their format and checksum (where the chain has one) are valid.
+ * Matches inside links are skipped - the URL checks already score those.
+ * @param {string} text - Message text
+ * @returns {Array<{type: string, value: string, start: number, end: number}>} type is a key of ENTITY_WEIGHTS,
+ *          sorted by position
+ */
+function extractEntities(text) {
+    if (!text) return [];
+
+    const entities = [];
+    const urlSpans = extractUrls(text);
+    const isFree = (start, end) =>
+        ![...urlSpans, ...entities].some(span => start < span.end && end > span.start);
+    const add = (type, value, start, end) => {
+        if (isFree(start, end)) entities.push({ type, value, start, end });
+    };
+
+    // Wallets first - their digit runs must not be read as phone numbers
+    for (const match of text.matchAll(ETH_ADDRESS_REGEX)) {
+        if (_isValidEthAddress(match[0])) add('eth', match[0], match.index, match.index + match[0].length);
+    }
+    for (const match of text.matchAll(BTC_BECH32_REGEX)) {
+        if (_isValidBech32Address(match[0])) add('btc', match[0], match.index, match.index + match[0].length);
+    }
+    for (const match of text.matchAll(BTC_BASE58_REGEX)) {
+        const payload = _decodeBase58Check(match[0]);
+        if (payload?.length === 21 && (payload[0] === 0x00 || payload[0] === 0x05)) {
+            add('btc', match[0], match.index, match.index + match[0].length);
+        }
+    }
+    for (const match of text.matchAll(TRON_ADDRESS_REGEX)) {
+        const payload = _decodeBase58Check(match[0]);
+        if (payload?.length === 21 && payload[0] === 0x41) {
+            add('tron', match[0], match.index, match.index + match[0].length);
+        }
+    }
+    // Solana addresses are bare 32-byte public keys without a checksum
+    for (const match of text.matchAll(SOL_ADDRESS_REGEX)) {
+        if (_decodeBase58(match[0])?.length === 32) add('sol', match[0], match.index, match.index + match[0].length);
+    }
+
+    for (const match of text.matchAll(TELEGRAM_HANDLE_REGEX)) {
+        const handle = match[1] || match[2];
+        const start = match.index + match[0].lastIndexOf(handle);
+        add('telegram', `@${handle}`, start, start + handle.length);
+    }
+    for (const match of text.matchAll(WECHAT_ID_REGEX)) {
+        const [whole, separator, id] = match;
+        if (!/[:：=]/.test(separator) && !/[\d_-]/.test(id)) continue;
+        const start = match.index + whole.length - id.length;
+        add('wechat', id, start, start + id.length);
+    }
+
+    const addPhone = (number, start) => {
+        const digits = number.replace(/\D/g, '').replace(/^00/, '');
+        if (digits.length < PHONE_MIN_DIGITS || digits.length > PHONE_MAX_DIGITS) return;
+        add('phone', /^(?:\+|00)/.test(number) ? `+${digits}` : digits, start, start + number.length);
+    };
+    for (const match of text.matchAll(PHONE_INTL_REGEX)) {
+        addPhone(match[0], match.index);
+    }
+    for (const match of text.matchAll(PHONE_CONTEXT_REGEX)) {
+        addPhone(match[1], match.index + match[0].length - match[1].length);
+    }
+
+    return entities.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Score extracted entities, each kind counted once
+ * @param {Array<{type: string, start: number, end: number}>} entities - From extractEntities
+ * @returns {{score: number, signals: Array<{type: string, label: string, score: number, spans: Array}>}}
+ *          signal spans are in the coordinates of the entities
+ */
+function scoreEntities(entities) {
+    const signals = [];
+    for (const type of Object.keys(ENTITY_WEIGHTS)) {
+        const found = entities.filter(entity => entity.type === type);
+        if (found.length === 0) continue;
+        signals.push({
+            type: 'entity',
+            label: `entity: ${ENTITY_LABELS[type]}`,
+            score: ENTITY_WEIGHTS[type],
+            category: ENTITY_CATEGORIES[type],
+            spans: found.map(({ start, end }) => ({ start, end }))
+        });
+    }
+    return { score: signals.reduce((sum, signal) => sum + signal.score, 0), signals };
+}
+
+/**
+ * Drop leetspeak spans inside extracted entities - digits are part of a handle or wallet,
+ * which scoreEntities already counts
+ * @param {Object<string, Array<{start: number, end: number}>>} trickSpans - From normalizeText, in source coordinates
+ * @param {Array<{start: number, end: number}>} entities - Entities in source coordinates
+ * @returns {Object<string, Array<{start: number, end: number}>>} trickSpans without tricks that have no span left
+ */
+function _excludeEntityTricks(trickSpans, entities) {
+    const { leetspeak, ...rest } = trickSpans;
+    const spans = (leetspeak || []).filter(span =>
+        !entities.some(entity => span.start < entity.end && span.end > entity.start));
+    return spans.length > 0 ? { ...rest, leetspeak: spans } : rest;
+}
+
+// =============================================================================
+// ACCOUNT SIGNALS - Spammy patterns in the sender's handle and display name
+// =============================================================================
+
+/**
+ * Default weight of each account signal (user-configurable in the options page, 0 = off)
+ */
+const DEFAULT_ACCOUNT_SIGNAL_WEIGHTS = {
+    digitSuffix: 3,     // "anna48213977" - name plus 5+ digits (years like "bob1999" are fine)
+    randomHandle: 4,    // "x7kq2m9z" - generated-looking handle
+    emojiName: 2,       // "Anna 💕💋🔥" - display name stuffed with emoji or hearts
+    dmInName: 5         // "Anna | DM me" - call to action in the display name
+};
+const ACCOUNT_SIGNAL_MAX_WEIGHT = 10;
+
+/**
+ * Labels shown in the score breakdown and the options page
+ */
+const ACCOUNT_SIGNAL_LABELS = {
+    digitSuffix: 'handle ends in a long number',
+    randomHandle: 'random-looking handle',
+    emojiName: 'emoji-stuffed display name',
+    dmInName: '"DM me" in display name'
+};
+
+const ACCOUNT_EMOJI_MIN_COUNT = 3;
+const ACCOUNT_EMOJI_REGEX = /[\p{Extended_Pictographic}♡♥❣❤]/gu;
+const ACCOUNT_DM_REGEX = /\b(?:dms?|inbox|message|msg|text)\s+(?:me|now|for)\b|\bdms?\s+(?:are\s+)?open\b/i;
+
+// eslint-disable-next-line no-var
+var accountSignalWeights = accountSignalWeights || { ...DEFAULT_ACCOUNT_SIGNAL_WEIGHTS };
+
+/**
+ * Validate account signal weights, filling in defaults for missing ones
+ * @param {*} value - Stored weights
+ * @returns {{weights: Object|null, error: string|null}}
+ */
+function validateAccountSignalWeights(value) {
+    if (value === undefined || value === null) {
+        return { weights: { ...DEFAULT_ACCOUNT_SIGNAL_WEIGHTS }, error: null };
+    }
+    if (typeof value !== 'object') {
+        return { weights: null, error: 'Account signal weights must be an object' };
+    }
+
+    const weights = {};
+    for (const key of Object.keys(DEFAULT_ACCOUNT_SIGNAL_WEIGHTS)) {
+        const weight = value[key] ?? DEFAULT_ACCOUNT_SIGNAL_WEIGHTS[key];
+        if (!Number.isInteger(weight) || weight < 0 || weight > ACCOUNT_SIGNAL_MAX_WEIGHT) {
+            return { weights: null, error: `Weights must be whole numbers from 0 to ${ACCOUNT_SIGNAL_MAX_WEIGHT}` };
+        }
+        weights[key] = weight;
+    }
+    return { weights, error: null };
+}
+
+/**
+ * Check if a handle looks machine-generated
+ * Letters and digits alternating several times ("a8fk2m9x"), or long runs of consonants ("xkqzptrw")
+ * @param {string} handle - Username without @
+ * @returns {boolean}
+ */
+function _isRandomHandle(handle) {
+    const core = handle.replace(/_/g, '');
+    if (core.length < 8) return false;
+
+    const transitions = (core.match(/[a-z](?=\d)|\d(?=[a-z])/gi) || []).length;
+    if (transitions >= 3) return true;
+
+    const letters = core.replace(/\d/g, '');
+    const vowels = (letters.match(/[aeiouy]/gi) || []).length;
+    return letters.length >= 8 && /[b-df-hj-np-tv-xz]{5,}/i.test(letters) && vowels / letters.length < 0.2;
+}
+
+/**
+ * Score the sender's handle and display name
+ * @param {string} username - Handle without @
+ * @param {string} displayName - Display name
+ * @param {Object} weights - Account signal weights
+ * @returns {{score: number, signals: Array<{type: string, label: string, score: number, spans: Array}>}}
+ *          spans are always empty - they refer to the message text, which these signals don't match
+ */
+function scoreAccountSignals(username, displayName, weights = accountSignalWeights) {
+    const handle = (username || '').replace(/^@/, '');
+    const name = normalizeText(displayName || '').keywordText;
+    const found = [];
+
+    if (/^[a-z_]*[a-z][a-z_]*\d{5,}$/i.test(handle)) {
+        found.push('digitSuffix');
+    } else if (_isRandomHandle(handle)) {
+        found.push('randomHandle');
+    }
+
+    if ((name.match(ACCOUNT_EMOJI_REGEX) || []).length >= ACCOUNT_EMOJI_MIN_COUNT) {
+        found.push('emojiName');
+    }
+    if (ACCOUNT_DM_REGEX.test(name)) {
+        found.push('dmInName');
+    }
+
+    const signals = found
+        .filter(key => weights[key] > 0)
+        .map(key => ({ type: 'account', label: `account: ${ACCOUNT_SIGNAL_LABELS[key]}`, score: weights[key], spans: [] }));
+
+    return {
+        score: signals.reduce((sum, signal) => sum + signal.score, 0),
+        signals
+    };
+}
+
+// =============================================================================
+// IMPERSONATION - Look-alikes of protected names and accounts you follow
+// =============================================================================
+
+/**
+ * Names scam accounts like to pose as (extended by the user in the options page)
+ * Entries starting with @ are compared to the sender's handle, others to the display name
+ */
+const DEFAULT_PROTECTED_NAMES = [
+    'X Support',
+    'X Safety',
+    'Twitter Support',
+    'Elon Musk'
+];
+
+/**
+ * Characters that pass for each other in names, folded before comparing ("E1on Musk" -> "elonmusk")
+ * Applied after homoglyph folding; "i" and "l" are merged because they look alike in many fonts
+ */
+const NAME_SKELETON_CHARS = {
+    '0': 'o', '1': 'l', '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b', '9': 'g',
+    '@': 'a', '$': 's', '|': 'l', 'i': 'l'
+};
+const IMPERSONATION_MIN_LENGTH = 5;       // Shorter names collide too easily
+const IMPERSONATION_LONG_NAME = 12;       // From this length two edits are still a look-alike
+
+// User-protected names from chrome.storage.sync, followed accounts imported into chrome.storage.local
+// eslint-disable-next-line no-var
+var protectedNames = protectedNames || [];
+// eslint-disable-next-line no-var
+var followedAccounts = followedAccounts || [];
+
+// Precomputed skeletons, rebuilt when the lists change
+// eslint-disable-next-line no-var
+var _impersonationTargets = null;
+// Lowercased handles of followedAccounts, built on first use
+// eslint-disable-next-line no-var
+var _followedHandles = null;
+
+/**
+ * Reduce a name or handle to the letters it appears to spell
+ * @param {string} name - Display name or handle
+ * @returns {string}
+ */
+function getNameSkeleton(name) {
+    return normalizeText(name || '').text
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/\p{M}/gu, '')
+        .replace(/[^\p{L}\p{N}@$|]/gu, '')
+        .replace(/[01345789@$|i]/g, ch => NAME_SKELETON_CHARS[ch] || ch)
+        .replace(/rn/g, 'm')
+        .replace(/vv/g, 'w');
+}
+
+/**
+ * Edit distance counting an adjacent swap as one edit ("Msuk", "metamaks"), giving up once it exceeds max
+ * Only the diagonal band of width 2 * max + 1 can stay within max, so only that band is computed
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} max - Largest distance of interest
+ * @returns {number} Distance, or max + 1 when larger
+ */
+function boundedEditDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    const over = max + 1;
+    let beforePrevious = new Uint8Array(b.length + 1).fill(over);
+    let previous = new Uint8Array(b.length + 1).fill(over);
+    let current = new Uint8Array(b.length + 1);
+    for (let j = 0; j <= Math.min(b.length, max); j++) previous[j] = j;
+
+    for (let i = 1; i <= a.length; i++) {
+        current.fill(over);
+        if (i <= max) current[0] = i;
+
+        let rowMin = current[0];
+        for (let j = Math.max(1, i - max); j <= Math.min(b.length, i + max); j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+                over
+            );
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > max) return over;
+        [beforePrevious, previous, current] = [previous, current, beforePrevious];
+    }
+    return previous[b.length];
+}
+
+/**
+ * Replace the user's protected names, resetting the precomputed targets
+ * @param {string[]} names - Display names and @handles
+ */
+function setProtectedNames(names) {
+    if (JSON.stringify(names) === JSON.stringify(protectedNames)) return;
+    protectedNames = names;
+    _impersonationTargets = null;
+}
+
+/**
+ * Replace the imported following list, resetting the precomputed targets
+ * @param {Array<{username: string, displayName: string}>} accounts - Followed accounts
+ */
+function setFollowedAccounts(accounts) {
+    if (JSON.stringify(accounts) === JSON.stringify(followedAccounts)) return;
+    followedAccounts = accounts;
+    _impersonationTargets = null;
+    _followedHandles = null;
+}
+
+/**
+ * Check if a username is on the imported following list
+ * @param {string} username - Username without @
+ * @returns {boolean}
+ */
+function isFollowedAccount(username) {
+    if (!_followedHandles) {
+        _followedHandles = new Set(followedAccounts.map(account => account.username.toLowerCase()));
+    }
+    return _followedHandles.has((username || '').toLowerCase());
+}
+
+/**
+ * Build the comparison targets from protected names and followed accounts
+ * Grouped by field and skeleton length, so a sender is only compared to targets of similar length
+ * @returns {Map<string, Array<{field: string, text: string, lower: string, skeleton: string, owner: string|null, source: string}>>}
+ *          keyed "<field>:<skeleton length>"; owner: handle of the followed account the target belongs to
+ */
+function _getImpersonationTargets() {
+    if (_impersonationTargets) return _impersonationTargets;
+
+    const targets = new Map();
+    const add = (field, text, owner, source) => {
+        const skeleton = getNameSkeleton(text);
+        if (skeleton.length < IMPERSONATION_MIN_LENGTH) return;
+
+        const key = `${field}:${skeleton.length}`;
+        if (!targets.has(key)) targets.set(key, []);
+        targets.get(key).push({ field, text, lower: text.trim().toLowerCase(), skeleton, owner, source });
+    };
+
+    for (const entry of [...DEFAULT_PROTECTED_NAMES, ...protectedNames]) {
+        if (entry.startsWith('@')) {
+            add('username', entry.slice(1), null, 'protected');
+        } else {
+            add('displayName', entry, null, 'protected');
+        }
+    }
+    for (const account of followedAccounts) {
+        add('username', account.username, account.username.toLowerCase(), 'following');
+        if (account.displayName) {
+            add('displayName', account.displayName, account.username.toLowerCase(), 'following');
+        }
+    }
+
+    _impersonationTargets = targets;
+    return targets;
+}
+
+/**
+ * Check if a sender poses as a protected name or a followed account
+ * Near-identical (after folding look-alike characters) counts; identical does not,
+ * except for a followed account's display name used by a different handle
+ * @param {string} username - Sender handle
+ * @param {string} displayName - Sender display name
+ * @returns {{field: string, target: string, source: string, distance: number, reason: string}|null}
+ */
+function detectImpersonation(username, displayName) {
+    const handle = (username || '').replace(/^@/, '').toLowerCase();
+    const sender = {
+        username: { raw: handle, skeleton: getNameSkeleton(handle) },
+        displayName: { raw: (displayName || '').trim().toLowerCase(), skeleton: getNameSkeleton(displayName) }
+    };
+
+    const targets = _getImpersonationTargets();
+    const candidates = [];
+    for (const [field, value] of Object.entries(sender)) {
+        if (value.skeleton.length < IMPERSONATION_MIN_LENGTH) continue;
+        for (let length = value.skeleton.length - 2; length <= value.skeleton.length + 2; length++) {
+            candidates.push(...(targets.get(`${field}:${length}`) || []));
+        }
+    }
+
+    let best = null;
+    for (const target of candidates) {
+        // Followed accounts may of course use their own name
+        if (target.owner === handle) continue;
+
+        const value = sender[target.field];
+        const isExact = value.raw === target.lower;
+        if (isExact && !(target.source === 'following' && target.field === 'displayName')) continue;
+
+        const max = target.skeleton.length >= IMPERSONATION_LONG_NAME ? 2 : 1;
+        const distance = boundedEditDistance(value.skeleton, target.skeleton, max);
+        if (distance <= max && (!best || distance < best.distance)) {
+            best = { field: target.field, target: target.field === 'username' ? `@${target.text}` : target.text, source: target.source, distance };
+        }
+    }
+
+    if (!best) return null;
+    const what = best.field === 'username' ? 'handle' : 'display name';
+    const whose = best.source === 'following' ? ' (an account you follow)' : '';
+    return { ...best, reason: `Impersonation: ${what} looks like ${best.target}${whose}` };
+}
+
+// =============================================================================
+// ADAPTIVE CLASSIFIER - Naive Bayes trained from the user's own sweep decisions
+// =============================================================================
+
+/**
+ * Local model format (chrome.storage.local "classifierModel", never synced or uploaded)
+ * {
+ *   "format": "x-spam-sweeper-classifier", "version": 1, "updatedAt": ISO date,
+ *   "docs": {"spam": 12, "ham": 4},            // examples per class
+ *   "totals": {"spam": 310, "ham": 95},        // token occurrences per class
+ *   "tokens": {"usdt": [7, 0], ...},           // [spam, ham] documents containing each token
+ *   "examples": {"<username>:<text hash>": "spam"|"ham"}  // so relabelling replaces the old label
+ * }
+ * Sweeping, deleting, blocking or reporting a request adds a spam example,
+ * the popup's "Not spam" button adds a ham example
+ */
+const CLASSIFIER_MODEL_FORMAT = 'x-spam-sweeper-classifier';
+const CLASSIFIER_MODEL_VERSION = 1;
+const CLASSIFIER_MIN_EXAMPLES = 5;          // Per class, before the model has a say
+const CLASSIFIER_MIN_TOKENS = 3;            // Shorter messages carry too little to learn from
+const CLASSIFIER_MAX_VOCABULARY = 20000;    // Rarest tokens are dropped past this size
+const CLASSIFIER_MAX_EXAMPLES = 2000;       // Oldest example ids are forgotten (their counts stay)
+const CLASSIFIER_MAX_WEIGHT = 20;
+const DEFAULT_CLASSIFIER_WEIGHT = 8;
+
+/**
+ * Media placeholders X shows instead of message text ("Sent a photo", "Liked a message")
+ * They say nothing about the sender, so they are never learned from
+ */
+const MEDIA_PLACEHOLDER_REGEX = /^(?:sent (?:a |an )?(?:photo|video|gif|voice message|sticker|link)|(?:photo|video|gif|voice message|sticker)$|shared a (?:post|link|message)|liked a message$|reacted )/i;
+
+// Model loaded from chrome.storage.local and its signal weight from chrome.storage.sync (0 = off)
+// eslint-disable-next-line no-var
+var classifierModel = classifierModel || null;
+// eslint-disable-next-line no-var
+var classifierWeight = classifierWeight ?? DEFAULT_CLASSIFIER_WEIGHT;
+
+/**
+ * Create an empty classifier model
+ * @returns {Object}
+ */
+function createClassifierModel() {
+    return {
+        format: CLASSIFIER_MODEL_FORMAT,
+        version: CLASSIFIER_MODEL_VERSION,
+        updatedAt: null,
+        docs: { spam: 0, ham: 0 },
+        totals: { spam: 0, ham: 0 },
+        tokens: {},
+        examples: {}
+    };
+}
+
+/**
+ * Check that stored data is a model this version can use
+ * @param {*} model - Value from storage
+ * @returns {boolean}
+ */
+function isValidClassifierModel(model) {
+    return model?.format === CLASSIFIER_MODEL_FORMAT
+        && model.version === CLASSIFIER_MODEL_VERSION
+        && typeof model.tokens === 'object' && model.tokens !== null
+        && typeof model.examples === 'object' && model.examples !== null;
+}
+
+/**
+ * Validate the classifier signal weight setting
+ * @param {*} value - Stored weight
+ * @returns {number} Integer weight, the default when invalid
+ */
+function validateClassifierWeight(value) {
+    return Number.isInteger(value) && value >= 0 && value <= CLASSIFIER_MAX_WEIGHT
+        ? value
+        : DEFAULT_CLASSIFIER_WEIGHT;
+}
+
+/**
+ * Check if a message preview is one of X's media placeholders
+ * @param {string} text - Message preview
+ * @returns {boolean}
+ */
+function isMediaPlaceholder(text) {
+    return MEDIA_PLACEHOLDER_REGEX.test((text || '').trim());
+}
+
+/**
+ * Split a message into classifier tokens
+ * Words come from the normalized keyword text (so "b1tc0in" and "bitcoin" are one token),
+ * digit runs become "#" so amounts generalize, and links become "domain:<registrable domain>"
+ * @param {string} text - Message text
+ * @returns {{normalized: Object, tokens: Array<{token: string, start: number, end: number}>}}
+ *          start/end are offsets into the normalized text
+ */
+function tokenizeForClassifier(text) {
+    const normalized = normalizeText(text);
+    const tokens = [];
+
+    const urls = extractUrls(normalized.text);
+    for (const url of urls) {
+        tokens.push({ token: `domain:${url.registrableDomain}`, start: url.start, end: url.end });
+    }
+
+    for (const match of normalized.keywordText.matchAll(/[\p{L}\p{N}][\p{L}\p{M}\p{N}'_-]*/gu)) {
+        const start = match.index;
+        const end = start + match[0].length;
+        if (urls.some(url => start < url.end && end > url.start)) continue;
+
+        const token = match[0].toLowerCase().replace(/\d+/g, '#');
+        if (token.length < 2 || token.length > 30) continue;
+        tokens.push({ token, start, end });
+    }
+
+    return { normalized, tokens };
+}
+
+/**
+ * Stable id for a training example, so the same message is never counted twice
+ * @param {string} username - Sender
+ * @param {string} text - Message text
+ * @returns {string} "<username>:<FNV-1a hash of text>"
+ */
+function getClassifierExampleId(username, text) {
+    return `${username}:${_hashString(text).toString(16).padStart(8, '0')}`;
+}
+
+/**
+ * Add or remove one example's tokens from a class
+ * @param {Object} model - Classifier model (mutated)
+ * @param {string[]} tokens - Unique tokens of the example
+ * @param {string} label - 'spam' or 'ham'
+ * @param {number} delta - 1 to add, -1 to remove
+ */
+function _updateClassifierCounts(model, tokens, label, delta) {
+    const column = label === 'spam' ? 0 : 1;
+    model.docs[label] = Math.max(0, model.docs[label] + delta);
+
+    for (const token of tokens) {
+        const counts = model.tokens[token] || (model.tokens[token] = [0, 0]);
+        const before = counts[column];
+        counts[column] = Math.max(0, before + delta);
+        model.totals[label] += counts[column] - before;
+        if (counts[0] === 0 && counts[1] === 0) delete model.tokens[token];
+    }
+}
+
+/**
+ * Drop the rarest tokens once the vocabulary outgrows CLASSIFIER_MAX_VOCABULARY
+ * @param {Object} model - Classifier model (mutated)
+ */
+function _pruneClassifierVocabulary(model) {
+    const entries = Object.entries(model.tokens);
+    if (entries.length <= CLASSIFIER_MAX_VOCABULARY) return;
+
+    // Prune to 90% so this doesn't run on every new example
+    entries.sort((a, b) => (a[1][0] + a[1][1]) - (b[1][0] + b[1][1]));
+    for (const [token, counts] of entries.slice(0, entries.length - Math.floor(CLASSIFIER_MAX_VOCABULARY * 0.9))) {
+        model.totals.spam -= counts[0];
+        model.totals.ham -= counts[1];
+        delete model.tokens[token];
+    }
+}
+
+/**
+ * Train the model on one labelled message
+ * Relabelling an example (e.g. "Not spam" after an earlier sweep) moves it to the new class
+ * @param {Object} model - Classifier model (mutated)
+ * @param {string} id - Example id from getClassifierExampleId
+ * @param {string} text - Message text
+ * @param {string} label - 'spam' or 'ham'
+ * @returns {boolean} Whether the model changed
+ */
+function trainClassifier(model, id, text, label) {
+    if (label !== 'spam' && label !== 'ham') return false;
+    if (!text || isMediaPlaceholder(text)) return false;
+
+    const tokens = [...new Set(tokenizeForClassifier(text).tokens.map(entry => entry.token))];
+    if (tokens.length < CLASSIFIER_MIN_TOKENS) return false;
+
+    const previous = model.examples[id];
+    if (previous === label) return false;
+    if (previous) {
+        _updateClassifierCounts(model, tokens, previous, -1);
+        delete model.examples[id];
+    }
+
+    _updateClassifierCounts(model, tokens, label, 1);
+    model.examples[id] = label;
+
+    const ids = Object.keys(model.examples);
+    for (const oldId of ids.slice(0, Math.max(0, ids.length - CLASSIFIER_MAX_EXAMPLES))) {
+        delete model.examples[oldId];
+    }
+
+    _pruneClassifierVocabulary(model);
+    model.updatedAt = new Date().toISOString();
+    return true;
+}
+
+/**
+ * Check if the model has seen enough of both classes to score messages
+ * @param {Object} model - Classifier model
+ * @returns {boolean}
+ */
+function isClassifierReady(model = classifierModel) {
+    return isValidClassifierModel(model)
+        && model.docs.spam >= CLASSIFIER_MIN_EXAMPLES
+        && model.docs.ham >= CLASSIFIER_MIN_EXAMPLES;
+}
+
+/**
+ * Estimate the probability that a message is spam
+ * Both classes get an equal prior: the user sweeps far more often than they click "Not spam",
+ * so the example counts say more about their habits than about the message
+ * @param {string} text - Message text
+ * @param {Object} model - Classifier model
+ * @returns {{probability: number, tokens: Array<{token: string, logRatio: number, spans: Array}>}|null}
+ *          null when the model is not ready or knows none of the message's tokens;
+ *          tokens are the known ones, strongest evidence first, spans in raw text offsets
+ */
+function classifyText(text, model = classifierModel) {
+    if (!text || !isClassifierReady(model)) return null;
+
+    const { normalized, tokens } = tokenizeForClassifier(text);
+    const vocabularySize = Object.keys(model.tokens).length;
+
+    const known = new Map();
+    for (const { token, start, end } of tokens) {
+        const counts = model.tokens[token];
+        if (!counts) continue;
+        if (!known.has(token)) {
+            // Laplace-smoothed log likelihood ratio of spam vs ham
+            const logRatio = Math.log((counts[0] + 1) / (model.totals.spam + vocabularySize))
+                - Math.log((counts[1] + 1) / (model.totals.ham + vocabularySize));
+            known.set(token, { token, logRatio, spans: [] });
+        }
+        known.get(token).spans.push(...toSourceSpans(normalized, [{ start, end }]));
+    }
+    if (known.size === 0) return null;
+
+    const evidence = [...known.values()];
+    const logOdds = evidence.reduce((sum, entry) => sum + entry.logRatio, 0);
+    return {
+        probability: 1 / (1 + Math.exp(-logOdds)),
+        tokens: evidence.sort((a, b) => Math.abs(b.logRatio) - Math.abs(a.logRatio))
+    };
+}
+
+/**
+ * Turn a spam probability into a score adjustment
+ * 50% is neutral; 100% adds the full weight, 0% subtracts it
+ * @param {number} probability - From classifyText
+ * @param {number} weight - Classifier weight setting
+ * @returns {number}
+ */
+function getClassifierScore(probability, weight = classifierWeight) {
+    return Math.round((probability - 0.5) * 2 * weight);
 }
 
 // =============================================================================
-// URL PATTERNS - Domains that indicate spam/scam
+// CAMPAIGN CLUSTERING - Near-identical messages sent from many accounts
 // =============================================================================
 
 /**
- * High-risk URL patterns (instant red flag)
- * Off-platform redirects are the primary indicator of spam/scam DMs
+ * Spam waves reuse one template across dozens of accounts, with small edits
+ * (names, amounts, links). Messages are compared with MinHash signatures over
+ * character shingles, and locality-sensitive hashing (LSH) keeps it to a handful
+ * of comparisons per message instead of every pair.
  */
-const HIGH_RISK_URL_PATTERNS = [
-    /([01]inance|c[0o]inbase|met[a4]m[a4]sk|tr[u0]st|w[a4]llet)/i,
-    /admireme\.vip/i,
-    /adulttime\.com/i,
-    /api\.whatsapp\.com/i,    // WhatsApp API links
-    /b1anca\.com/i,           // Aggressive Model
-    /binance\-/i,             // Fake Binance domains
-    /biolnk\.at/i,
-    /carrd\.co/i,
-    /chat\.whatsapp\.com/i,   // WhatsApp groups
-    /claim\-/i,
-    /coinbase\-/i,            // Fake Coinbase domains
-    /dapp\-/i,
-    /direct\.me/i,
-    /fancentro\.com/i,
-    /fans\.ly/i,
-    /fansly\.com/i,
-    /fanvue\.com/i,
-    /iwantclips\.com/i,
-    /justfor\.fans/i,
-    /lnk\.bio/i,
-    /loyalfans\.com/i,
-    /maloum\.com/i,
-    /manyvids\.com/i,
-    /metamask\-/i,            // Fake MetaMask domains
-    /msha\.ke/i,
-    /my\.club/i,
-    /my69private\.site/i,
-    /mym\.fans/i,
-    /onlyfans\.com/i,
-    /onsx\.fun/i,
-    /pancakeswap\-/i,
-    /phantom\-/i,
-    /revoke\.cash/i,
-    /sextpanther\.com/i,
-    /slushy\.com/i,
-    /socialtap\.me/i,
-    /t\.me\//i,               // Telegram
-    /taplink\.cc/i,
-    /telegram\.me/i,          // Telegram alternative
-    /telegram\.org/i,
-    /throne\.com/i,
-    /trustwallet/i,
-    /uniswap\-/i,
-    /wa\.me\//i,              // WhatsApp shortlinks
-    /walletconnect/i,
-];
+const MINHASH_SIZE = 64;
+const LSH_BANDS = 16;                 // 16 bands of 4 rows - pairs above ~0.5 similarity nearly always share a band
+const CLUSTER_SHINGLE_SIZE = 5;       // Characters per shingle
+const CLUSTER_SIMILARITY = 0.6;       // Estimated Jaccard similarity to count as the same template
+const CLUSTER_MIN_TOKENS = 4;         // "hi", "hello there" and the like would all look alike
+const CLUSTER_BOOST_MIN_SIZE = 3;     // Two similar messages can be a coincidence
+const CLUSTER_BOOST_PER_MESSAGE = 2;
+const CLUSTER_MAX_BOOST = 10;
+
+const MINHASH_SEEDS = Array.from({ length: MINHASH_SIZE }, (_, i) => _mix32(i + 1));
 
 /**
- * Medium-risk URL patterns (suspicious, needs review)
- * Generic shorteners and invite links
- */
-const MEDIUM_RISK_URL_PATTERNS = [
-    /\/airdrop/i,
-    /\/crypto/i,
-    /\/giveaway/i,
-    /\/investment/i,
-    /\/trading/i,
-    /adf\.ly\//i,
-    /allmylinks\.com/i,
-    /allmysocial\.me/i,
-    /beacons\.ai/i,
-    /bio\.link/i,
-    /bio\.site/i,
-    /bit\.do/i,
-    /bit\.ly\//i,
-    /bl\.ink/i,
-    /buff\.ly\//i,
-    /claimmysocial\.com/i,
-    /clck\.ru/i,
-    /cli\.re/i,
-    /curiouscat\.qa/i,
-    /cutt\.ly/i,
-    /discord\.com\/invite/i,
-    /discord\.gg\//i,
-    /dub\.sh/i,
-    /etmysocial\.me/i,
-    /feedlink\.io/i,
-    /flow\.page/i,
-    /getmysocial\.click/i,
-    /getmysocial\.com/i,
-    /getmysocial\.ink/i,
-    /getmysocial\.net/i,
-    /getmysociale\.com/i,
-    /getmysocials\.me/i,
-    /getmysocials\.net/i,
-    /gg\.gg/i,
-    /gmscl\.com/i,
-    /gmysocial\.com/i,
-    /goo\.by/i,
-    /goo\.gl\//i,
-    /heyl\.ink/i,
-    /hypel\.ink/i,
-    /is\.gd\//i,
-    /joy\.link/i,
-    /justallmy\.link/i,
-    /line\.me/i,
-    /linktr\.ee/i,
-    /lit\.link/i,
-    /lnk\.to/i,
-    /mybios\.io/i,
-    /ngl\.link/i,
-    /onlysites\.co/i,
-    /ow\.ly\//i,
-    /rb\.gy/i,
-    /rebrand\.ly/i,
-    /s\.id/i,
-    /shor\.by/i,
-    /shorte\.st/i,
-    /shorturl\.at/i,
-    /short\.gy/i,
-    /signal\.group/i,
-    /sleek\.bio/i,
-    /snapchat\.com\/add/i,
-    /snip\.ly/i,
-    /solo\.to/i,
-    /start\.page/i,
-    /t\.ly\//i,
-    /tapfor\.social/i,
-    /tapforallmylinks\.com/i,
-    /tapformy\.social/i,
-    /tellonym\.me/i,
-    /thisismy\.social/i,
-    /tiny\.cc/i,
-    /tinyurl\.com/i,
-    /touchmy\.social/i,
-    /unlockmysocial\.com/i,
-    /url\.bio/i,
-    /v\.gd/i,
-    /wa\.link/i,
-    /wlo\.link/i,
-    /znap\.link/i,
-];
+ * 32-bit FNV-1a hash of a string
+ * @param {string} text - Text to hash
+ * @returns {number} Unsigned 32-bit hash
+ */
+function _hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
 
 /**
- * Safe domains (whitelist) - Won't trigger spam flags
+ * Scramble a 32-bit value (murmur3 finalizer) - one seed per MinHash permutation
+ * @param {number} value - 32-bit value
+ * @returns {number} Unsigned 32-bit value
  */
-const SAFE_DOMAINS = [
-    'bandcamp.com',
-    'buymeacoffee.com',
-    'facebook.com',
-    'github.com',
-    'instagram.com',
-    'ko-fi.com',
-    'linkedin.com',
-    'medium.com',
-    'patreon.com',
-    'reddit.com',
-    'soundcloud.com',
-    'spotify.com',
-    'substack.com',
-    'tiktok.com',
-    'twitch.tv',
-    'twitter.com',
-    'x.com',
-    'youtu.be',
-    'youtube.com',
-];
+function _mix32(value) {
+    let x = value;
+    x ^= x >>> 16;
+    x = Math.imul(x, 0x85ebca6b);
+    x ^= x >>> 13;
+    x = Math.imul(x, 0xc2b2ae35);
+    x ^= x >>> 16;
+    return x >>> 0;
+}
 
-// =============================================================================
-// KEYWORD WEIGHTS - Spam scoring based on text content
-// =============================================================================
+/**
+ * Compute the MinHash signature of a message
+ * Uses the classifier tokens, so amounts, leetspeak and link paths don't split a template
+ * @param {string} text - Message text
+ * @returns {Uint32Array|null} Signature, or null for placeholders and very short messages
+ */
+function computeMinHash(text) {
+    if (!text || isMediaPlaceholder(text)) return null;
+
+    const { tokens } = tokenizeForClassifier(text);
+    if (tokens.length < CLUSTER_MIN_TOKENS) return null;
+
+    const joined = tokens.map(entry => entry.token).join(' ');
+    const shingles = new Set();
+    for (let i = 0; i + CLUSTER_SHINGLE_SIZE <= joined.length; i++) {
+        shingles.add(_hashString(joined.slice(i, i + CLUSTER_SHINGLE_SIZE)));
+    }
+
+    const signature = new Uint32Array(MINHASH_SIZE).fill(0xFFFFFFFF);
+    for (const shingle of shingles) {
+        for (let i = 0; i < MINHASH_SIZE; i++) {
+            const value = _mix32(shingle ^ MINHASH_SEEDS[i]);
+            if (value < signature[i]) signature[i] = value;
+        }
+    }
+    return signature;
+}
 
 /**
- * Keyword weights for spam scoring
- * Higher weight = more likely spam
+ * Estimate the Jaccard similarity of two messages from their signatures
+ * @param {Uint32Array} a - Signature
+ * @param {Uint32Array} b - Signature
+ * @returns {number} 0-1
  */
-const SPAM_KEYWORD_WEIGHTS = {
-    // Crypto/Investment scam keywords (weight: 3-5)
-    'crypto': 3,
-    'bitcoin': 2,
-    'ethereum': 2,
-    'trading': 3,
-    'investment': 3,
-    'invest': 3,
-    'profit': 3,
-
-    'guaranteed': 4,
-    'passive income': 4,
-    'financial freedom': 3,
-    'forex': 4,
-    'binary options': 5,
-    'nft drop': 3,
-    'airdrop': 3,
-    'giveaway': 2,
-    'free money': 5,
-    'double your': 5,
-
-    // Pig Butchering / Long-con investment tactics
-    'liquidity': 3,
-    'passive returns': 4,
-    'portfolio manager': 3,
-    'signal group': 4,
-    'insider trade': 4,
-    'mentorship': 3,
-    'wealth creation': 3,
-    'seed phrase': 5,
-    'connect wallet': 5,
-    'gas fee': 3,
-    'reimbursement': 3,
-
-    // Urgency/pressure tactics (weight: 2-4)
-    'urgent': 3,
-    'act now': 4,
-    'limited time': 3,
-    'don\'t miss': 2,
-    'last chance': 3,
-    'hurry': 2,
-    'expires': 2,
-
-    // Scam language patterns (weight: 2-4)
-    'kindly': 3,           // VERY common in scams
-    'dear friend': 4,
-    'dear sir': 3,
-    'dear madam': 3,
-    'congratulations': 2,
-    'you have been selected': 5,
-    'you have won': 5,
-    'claim your': 4,
-    'verify your account': 4,
-    'suspended': 3,
-
-    // Off-platform redirect keywords (weight: 4-5)
-    'whatsapp': 5,
-    'telegram': 5,
-    'add me on': 4,
-    'message me on': 4,
-    'contact me on': 3,
-    'text me': 3,
-    'dm me on': 3,
-
-    // Romance scam indicators (weight: 2-5)
-    'lonely': 2,
-    'looking for love': 3,
-    'sugar daddy': 4,
-    'sugar mommy': 4,
-    'sugar baby': 3,
-    'allowance': 2,
-    'spoil you': 3,
-    'spoiling': 3,
-    'verification fee': 5,
-    'gas money': 3,
-    'hey hun': 3,
-    'bored at home': 2,
-
-    // Adult content promotion (weight: 3-4)
-    'onlyfans': 4,
-    'fansly': 4,
-    'link in bio': 2,
-    'link in my bio': 3,
-    'check my profile': 2,
-    'check my pinned': 3,
-    'exclusive content': 3,
-    'subscribe': 2,
-    'sub to me': 3,
-    'live show': 4,
-    'sexting': 4,
-    'private session': 3,
-    'top 0%': 3,
-    'uncensored': 3,
-    'raw photos': 4,
-    'raw vids': 4,
-    'no panties': 4,
-    'completely free': 3,
-    'free profile': 3,
-    'free trial': 2,
-    'free for 24': 4,
-    'free just for': 3,
-    'free till midnight': 4,
-    'cumslut': 5,
-    'nude chat': 5,
-    'private followers': 3,
-    'private page': 3,
-    'filthy side': 4,
-    'filthy lil': 4,
-    'drenched': 3,
-    'spreadin': 4,
-    'going wild on myself': 5,
-    'taboo secrets': 4,
-    'curvy body': 2,
-    'perky boobs': 4,
-    'tight pussy': 5,
-    'tight holes': 5,
-    'playing with my': 3,
-    'using my toy': 4,
-    'between my legs': 4,
-    'bent over': 3,
-    'ass up': 4,
-    'bustin hard': 4,
-    'make you throb': 5,
-    'dripping': 3,
-    'gushing': 3,
-    'slippery': 3,
-    'instantly wet': 4,
-    'bimbo mode': 4,
-
-    // Engagement bait openers (weight: 2-4)
-    'are you busy': 2,
-    'special question': 3,
-    'hope this message meets you well': 4,
-    'friendly stranger': 3,
-    'don\'t be shy': 2,
-    'tell me something': 2,
-    'temptation': 2,
-    'nervous typing this': 3,
-    'can\'t wait to see your name': 4,
-    'finally sees': 2,
-    'i hope this finds you well': 3,
-    'can i ask you something': 2,
-    'can i ask u something': 2,
-    'is it fine if i ask': 2,
-    'quick question but be honest': 3,
-    'random but u seem': 3,
-    'this is random but': 2,
-    'hey random but': 2,
-    'real quick': 2,
-    'be honest would u': 3,
-    'you seem familiar': 2,
-    'do we know each other': 2,
-    'i noticed you': 2,
-    'spotted your comment': 3,
-    'noticed your comment': 3,
-    'saw your comment': 2,
-    'saw ur comment': 2,
-    'ur comment': 2,
-    'your comment turned me': 4,
-    'couldn\'t help but spot': 3,
-    'you look cute': 2,
-    'you looked cute': 2,
-    'u look like the sorta': 3,
-    'you seem like my type': 3,
-    'you give energy': 2,
-    'this might sound weird': 2,
-    'okay confession': 3,
-    'new here': 2,
-    'not very active here': 3,
-    'reaching out from a backup': 4,
-
-    // FOMO/Urgency scam tactics (weight: 3-5)
-    'till midnight': 4,
-    'until midnight': 4,
-    'limited verification': 4,
-    'free verification phase': 5,
-    'direct path to': 3,
-    'your access is waiting': 4,
-    'begin free now': 4,
-    'join for free': 2,
-    'your likes': 2,
-    'makes me throb': 5,
-
-    // Stock/Investment pump schemes (weight: 4-5)
-    'stock blogger': 5,
-    'reliable stock': 4,
-    'market analysis team': 5,
-    'stocks buying and selling': 5,
-    'trade setups': 4,
-    'stock list': 3,
-    'high-conviction': 4,
-    'crypto signals': 4,
-    'stock signals': 4,
-    'returns is now live': 5,
-    'transform potential into profit': 5,
-    'never recommends junk': 4,
-    'valuable investing': 3,
-    'exclusive investment': 4,
-    'exclusive report': 3,
-    'way better than researching': 4,
-
-    // Fake intimacy/Romance hooks (weight: 2-4)
-    'hey cutie': 2,
-    'hey handsome': 2,
-    'hey gorgeous': 2,
-    'hey love': 2,
-    'hey babe': 2,
-    'hello handsome': 2,
-    'hello gorgeous': 2,
-    'hi cutie': 2,
-    'thinking of you': 2,
-    'imagining you': 3,
-    'craving': 2,
-    'needy': 2,
-    'desperate for touch': 4,
-    'sensitive and needy': 3,
-    'hot and bothered': 3,
-    'playing with myself': 4,
-    'touching myself': 4,
-    'one click away': 3,
-    'come prove me right': 3,
-    'come get what you do': 3,
-    'come sub now': 4,
-    'come see': 2,
-    'door wide open': 3,
-    'i\'ll take the lead': 2,
-    'tap the link': 2,
-    'hit the link': 2,
-    'click when you want': 3,
-    'press the picture': 3,
-    'hit my pic': 3,
-
-    // Explicit adult solicitation (weight: 4-5)
-    'dm me 1 word': 4,
-    'dm me on of': 4,
-    'slide into': 2,
-    'invaded your dms': 4,
-    'obey me': 3,
-    'slave': 3,
-    'dominance': 2,
-    'behave or misbehave': 3,
-    'quit staring': 3,
-    'stop behaving': 3,
-    'deserve it': 2,
-    'nasty you\'ll be addicted': 5,
-    'welcome video': 3,
-    'full reveal': 3,
-    'real treat': 2,
-    'unwrap the rest': 3,
-    'what i\'m hiding': 3,
-
-    // Vague teaser hooks (weight: 2-3)
-    'i need to tell you something': 2,
-    'it will be short': 2,
-    'this shot is merely': 3,
-    'the photo cuts off': 3,
-    'kept the rest uncensored': 4,
-    'didn\'t show here': 2,
-    'you got this far': 2,
-    'don\'t dare stop': 3,
-    'still here still soft': 3,
-
-    // Lazy AI / Overused Marketing Buzzwords (weight: 3)
-    'game-changer': 3,
-    'game changer': 3,
-    'the real unlock': 3,
-    'unlock the power': 3,
-    'scaling to the moon': 3,
-
-    // =========================================================================
-    // 2024-2025 TRENDING SPAM PATTERNS
-    // =========================================================================
-
-    // Enhanced Crypto/Investment
-    'mining pool': 4,
-    'liquidity pool': 3,
-    'staking rewards': 3,
-    'new ico': 4,
-    'pump and dump': 5,
-    'risk-free': 4,
-    'recovery phrase': 5,
-    'private key': 5,
-    'send me 1 eth': 5,
-    'send me 1 btc': 5,
-    'verify your wallet': 4,
-    'security alert': 3,
-
-    // Enhanced Romance/Pig Butchering
-    'working overseas': 3,
-    'in the military': 3,
-    'oil rig': 4,
-    'bad internet': 3,
-    'recently widowed': 3,
-    'medical emergency': 4,
-    'customs fees': 4,
-    'shipping fees': 3,
-    'never felt this way': 3,
-    'soulmate': 2,
-
-    // Adult/Meetup scams
-    'paid meetup': 4,
-    'meetup available': 3,
-    'gf experience': 4,
-    'girlfriend experience': 4,
-    'booking info': 2, // Often used by "agencies"
-};
+function estimateSimilarity(a, b) {
+    let equal = 0;
+    for (let i = 0; i < MINHASH_SIZE; i++) {
+        if (a[i] === b[i]) equal++;
+    }
+    return equal / MINHASH_SIZE;
+}
 
 /**
- * Regex-based spam patterns for dynamic number matching
- * Each entry: [regex, weight, name]
+ * Group near-identical messages
+ * @param {Array<{id: string, text: string}>} items - Messages to compare
+ * @returns {Array<string[]>} Clusters of two or more ids, largest first
  */
-const SPAM_REGEX_PATTERNS = [
-    // Crypto multiplier claims (100x, 1000x, etc.)
-    [/\b\d+x\b/gi, 5, 'multiplier claim'],
+function findMessageClusters(items) {
+    const signed = items
+        .map(item => ({ id: item.id, signature: computeMinHash(item.text) }))
+        .filter(item => item.signature);
 
-    // Percentage return claims (e.g., "8875.5% returns", "200%-300% upside")
-    [/\b\d+(?:\.\d+)?%(?:\s*[-–]\s*\d+(?:\.\d+)?%)?\s*(?:returns?|upside|profit|gains?)/gi, 5, 'percentage returns'],
+    // Union-find over the messages
+    const parent = signed.map((_, i) => i);
+    const find = (i) => {
+        while (parent[i] !== i) {
+            parent[i] = parent[parent[i]];
+            i = parent[i];
+        }
+        return i;
+    };
 
-    // Time-limited FOMO ("for the next 24h", "next 15 minutes", "free for 24 hours")
-    [/(?:for the )?next\s+\d+\s*(?:h(?:ours?)?|min(?:utes?)?|days?)/gi, 4, 'time-limited offer'],
-    [/free\s+(?:for\s+)?\d+\s*(?:h(?:ours?)?|min(?:utes?)?|days?)/gi, 4, 'free time-limited'],
+    // Messages sharing any band bucket are candidates; the full signature decides
+    const rows = MINHASH_SIZE / LSH_BANDS;
+    const compared = new Set();
+    for (let band = 0; band < LSH_BANDS; band++) {
+        const buckets = new Map();
+        signed.forEach((item, index) => {
+            const key = item.signature.slice(band * rows, (band + 1) * rows).join(',');
+            const bucket = buckets.get(key);
+            if (bucket) {
+                bucket.push(index);
+            } else {
+                buckets.set(key, [index]);
+            }
+        });
 
-    // First N people/spots ("first 150", "first 50 members")
-    [/\bfirst\s+\d+\b/gi, 4, 'first N spots'],
+        for (const bucket of buckets.values()) {
+            for (let i = 1; i < bucket.length; i++) {
+                for (let j = 0; j < i; j++) {
+                    const pair = `${bucket[j]}:${bucket[i]}`;
+                    if (compared.has(pair)) continue;
+                    compared.add(pair);
 
-    // Stock trade records with buy/sell prices
-    [/\bbuy:\s*[\d.]+/gi, 4, 'stock buy price'],
-    [/\bsell:\s*[\d.]+/gi, 4, 'stock sell price'],
+                    if (estimateSimilarity(signed[bucket[i]].signature, signed[bucket[j]].signature) >= CLUSTER_SIMILARITY) {
+                        parent[find(bucket[i])] = find(bucket[j]);
+                    }
+                }
+            }
+        }
+    }
 
-    // DM me N word ("DM me 1 word", "DM me one word")
-    [/dm\s+me\s+(?:\d+|one|a)\s+word/gi, 4, 'dm trigger word'],
+    const groups = new Map();
+    signed.forEach((item, index) => {
+        const root = find(index);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(item.id);
+    });
 
-    // Countdown triggers ("in 8 sec", "in 5 seconds")
-    [/in\s+\d+\s*sec(?:onds?)?/gi, 3, 'countdown trigger'],
+    return [...groups.values()]
+        .filter(group => group.length > 1)
+        .sort((a, b) => b.length - a.length);
+}
 
-    // Send crypto requests ("Send 0.1 ETH", "Deposit 500 USDT")
-    [/(?:send|deposit)\s+\d+(?:\.\d+)?\s*(?:eth|btc|sol|bnb|usdt|usdc)/gi, 5, 'crypto deposit request'],
+/**
+ * Score boost for a message that is part of a campaign
+ * @param {number} size - Number of senders in the cluster
+ * @returns {number}
+ */
+function getClusterScore(size) {
+    if (size < CLUSTER_BOOST_MIN_SIZE) return 0;
+    return Math.min(CLUSTER_MAX_BOOST, (size - CLUSTER_BOOST_MIN_SIZE + 1) * CLUSTER_BOOST_PER_MESSAGE);
+}
 
-    // "Check bio" variations
-    [/check\s*(?:my)?\s*bio/gi, 2, 'check bio'],
-    [/link\s*(?:is)?\s*in\s*(?:my)?\s*bio/gi, 3, 'link in bio'],
-];
+/**
+ * Add the campaign boost to a message's spam info
+ * An AI verdict is final, so messages the AI already decided on are left alone
+ * @param {Object} spamInfo - Result of getSpamInfo
+ * @param {number} size - Number of senders in the cluster
+ * @returns {Object} New spam info
+ */
+function addClusterSignal(spamInfo, size) {
+    const boost = getClusterScore(size);
+    if (boost === 0 || spamInfo.aiReason) return spamInfo;
+
+    const rawScore = (spamInfo.rawScore ?? spamInfo.score) + boost;
+    const score = clampScore(rawScore);
+    const signals = [
+        ...(spamInfo.explanation?.signals || []),
+        { type: 'cluster', label: `campaign: ${size} similar messages`, score: boost, spans: [] }
+    ];
+    return {
+        ...spamInfo,
+        rawScore,
+        score,
+        riskLevel: getRiskLevel(score),
+        categoryMatch: scoreCategories(signals),
+        explanation: { ...spamInfo.explanation, signals }
+    };
+}
+
+/**
+ * Cluster message requests by their analyzed text and boost campaign members
+ * Each request gets cluster: {id, size} (null when it has no near-duplicates)
+ * @param {Array<Object>} requests - Message requests with spamInfo
+ * @returns {Array<Object>} New request objects
+ */
+function clusterMessageRequests(requests) {
+    const clusters = findMessageClusters(requests
+        .filter(req => !req.spamInfo?.isHiddenLink)
+        .map(req => ({ id: req.username, text: req.spamInfo?.explanation?.text ?? req.messagePreview })));
+
+    const clusterByUsername = new Map();
+    clusters.forEach((usernames, index) => {
+        for (const username of usernames) {
+            clusterByUsername.set(username, { id: index, size: usernames.length });
+        }
+    });
+
+    return requests.map(req => {
+        const cluster = clusterByUsername.get(req.username) || null;
+        return {
+            ...req,
+            cluster,
+            spamInfo: cluster && req.spamInfo ? addClusterSignal(req.spamInfo, cluster.size) : req.spamInfo
+        };
+    });
+}
 
 // =============================================================================
 // SPAM DETECTION FUNCTIONS
@@ -584,70 +3794,209 @@ const RISK_LEVELS = {
     SAFE: 'safe'
 };
 
+/**
+ * Merge stored thresholds over the defaults and check they are consistent
+ * @param {Object} [value] - Partial thresholds, e.g. from chrome.storage.sync
+ * @returns {{thresholds: Object, error: string|null}}
+ */
+function validateRiskThresholds(value) {
+    const thresholds = { ...DEFAULT_RISK_THRESHOLDS };
+    for (const key of Object.keys(DEFAULT_RISK_THRESHOLDS)) {
+        const number = Number(value?.[key]);
+        if (value?.[key] !== undefined && Number.isFinite(number)) {
+            thresholds[key] = Math.round(number);
+        }
+    }
+
+    const { high, medium, low, maxScore, aiMin } = thresholds;
+    let error = null;
+    if (low < 1) {
+        error = 'Low threshold must be at least 1';
+    } else if (!(low < medium && medium < high)) {
+        error = 'Thresholds must increase: low < medium < high';
+    } else if (high > maxScore) {
+        error = 'High threshold cannot exceed the score ceiling';
+    } else if (aiMin < 0 || aiMin >= high) {
+        error = 'AI review must start below the high threshold';
+    }
+
+    return { thresholds, error };
+}
+
+/**
+ * Map a score to a risk level
+ * @param {number} score - Spam score (clamped or raw)
+ * @param {Object} [thresholds] - Thresholds to apply, defaults to the user's settings
+ * @returns {string} One of RISK_LEVELS
+ */
+function getRiskLevel(score, thresholds = riskThresholds) {
+    if (score >= thresholds.high) return RISK_LEVELS.HIGH;     // Red Badge (Definite Spam)
+    if (score >= thresholds.medium) return RISK_LEVELS.MEDIUM; // Yellow Badge (SUS / Hidden Link)
+    if (score >= thresholds.low) return RISK_LEVELS.LOW;       // Grey Badge (Has link / Salesy)
+    return RISK_LEVELS.SAFE;
+}
+
+/**
+ * Clamp a raw score into the configured 0..maxScore range
+ * @param {number} rawScore - Unclamped score
+ * @param {Object} [thresholds] - Thresholds to apply, defaults to the user's settings
+ * @returns {number}
+ */
+function clampScore(rawScore, thresholds = riskThresholds) {
+    return Math.min(Math.max(rawScore, 0), thresholds.maxScore);
+}
+
+/**
+ * Check if a heuristic result falls into the AI "SUS zone" (aiMin up to high)
+ * @param {Object} info - Result of getSpamInfo
+ * @returns {boolean}
+ */
+function isInAIReviewZone(info) {
+    const score = info?.score || 0;
+    return score >= riskThresholds.aiMin &&
+        score < riskThresholds.high &&
+        info.riskLevel !== RISK_LEVELS.HIGH &&
+        !info.isHiddenLink;
+}
+
+/**
+ * Domain rules grouped by source, in precedence order: custom rules, enabled rule packs
+ * (in list order), then the built-in lists. For each URL the first layer with a matching
+ * entry decides; within a layer all matching entries apply.
+ * @returns {Array<{prefix: string, high: string[], medium: string[], safe: string[], builtin: boolean}>}
+ *          prefix is prepended to matched pattern names ("custom:", "pack:<name>:")
+ */
+function getDomainRuleLayers() {
+    const disabled = new Set(disabledSafeDomains);
+    return [
+        { prefix: 'custom:', high: customUrlPatterns, medium: [], safe: customSafeDomains, builtin: false },
+        ...getEnabledRulePacks().map(pack => ({
+            prefix: `pack:${pack.name}:`,
+            high: pack.rules.highRiskDomains || [],
+            medium: pack.rules.mediumRiskDomains || [],
+            safe: pack.rules.safeDomains || [],
+            builtin: false
+        })),
+        { prefix: '', high: HIGH_RISK_DOMAINS, medium: MEDIUM_RISK_DOMAINS, safe: SAFE_DOMAINS.filter(domain => !disabled.has(domain)), builtin: true }
+    ];
+}
+
+/**
+ * Get the effective safe domain list
+ * The user's own domains, safe domains from enabled rule packs, and the built-in SAFE_DOMAINS
+ * minus the ones disabled in the options page
+ * @returns {string[]}
+ */
+function getSafeDomains() {
+    const domains = [];
+    for (const layer of getDomainRuleLayers()) {
+        for (const domain of layer.safe) {
+            const lowerDomain = domain.toLowerCase();
+            if (!domains.includes(lowerDomain)) {
+                domains.push(lowerDomain);
+            }
+        }
+    }
+    return domains;
+}
+
+/**
+ * Classify one extracted URL against the domain rule layers
+ * @param {Object} url - Entry from extractUrls
+ * @param {Array} [layers] - Result of getDomainRuleLayers
+ * @returns {{high: string[], medium: string[], safe: string|null}} Matched pattern names and safe domain
+ */
+function classifyUrl(url, layers = getDomainRuleLayers()) {
+    for (const layer of layers) {
+        const high = layer.high.filter(domain => urlMatchesDomain(url, domain)).map(domain => layer.prefix + domain);
+        const medium = layer.medium.filter(domain => urlMatchesDomain(url, domain)).map(domain => layer.prefix + domain);
+        const safe = layer.safe.find(domain => urlMatchesDomain(url, domain)) || null;
+
+        // Look-alike hostnames and campaign paths are part of the built-in rules
+        if (layer.builtin) {
+            for (const [pattern] of HIGH_RISK_HOSTNAME_PATTERNS) {
+                if (pattern.test(url.hostname)) high.push(pattern.toString());
+            }
+            for (const [pattern] of MEDIUM_RISK_PATH_PATTERNS) {
+                if (pattern.test(url.pathname)) medium.push(pattern.toString());
+            }
+        }
+
+        if (high.length > 0 || medium.length > 0 || safe) {
+            return { high, medium, safe };
+        }
+    }
+    return { high: [], medium: [], safe: null };
+}
+
 /**
  * Check if a URL is in the safe domain whitelist
- * @param {string} url - URL to check
+ * @param {string} url - URL or bare domain to check
  * @returns {boolean}
  */
 function isUrlSafe(url) {
     if (!url) return false;
-    const lowerUrl = url.toLowerCase();
-    return SAFE_DOMAINS.some(domain => lowerUrl.includes(domain));
+    const layers = getDomainRuleLayers();
+    return extractUrls(url).some(parsed => classifyUrl(parsed, layers).safe !== null);
 }
 
 /**
  * Check text against URL patterns
+ * URLs and bare domains are extracted first and matched by hostname, so a domain name
+ * inside a longer hostname or in plain text doesn't count
  * @param {string} text - Text to analyze
- * @returns {{isSpam: boolean, riskLevel: string, matchedPatterns: string[], hasSafeUrl: boolean}}
+ * @returns {{isSpam: boolean, riskLevel: string, matchedPatterns: string[], matchedSpans: Object, hasSafeUrl: boolean, safeSpans: Array, urls: Array}}
+ *          matchedSpans maps each matched pattern to the text ranges it matched, urls lists the extracted URLs
  */
 function checkUrlPatterns(text) {
-    if (!text) return { isSpam: false, riskLevel: RISK_LEVELS.SAFE, matchedPatterns: [], hasSafeUrl: false };
+    const urls = extractUrls(text);
+    const layers = getDomainRuleLayers();
+    const high = { patterns: [], spans: {} };
+    const medium = { patterns: [], spans: {} };
+    const safeSpans = [];
 
-    const lowerText = text.toLowerCase();
-    const matchedPatterns = [];
-
-    // Check for safe domains first
-    const hasSafeUrl = SAFE_DOMAINS.some(domain => lowerText.includes(domain));
-
-    // Check high-risk patterns (Instant Red Flag)
-    for (const pattern of HIGH_RISK_URL_PATTERNS) {
-        if (pattern.test(text)) {
-            matchedPatterns.push(pattern.toString());
+    const addMatch = (bucket, name, url) => {
+        if (!bucket.spans[name]) {
+            bucket.patterns.push(name);
+            bucket.spans[name] = [];
         }
-    }
+        bucket.spans[name].push({ start: url.start, end: url.end });
+    };
 
-    // Check custom URL patterns
-    for (const customPattern of customUrlPatterns) {
-        if (lowerText.includes(customPattern.toLowerCase())) {
-            matchedPatterns.push(`custom:${customPattern}`);
+    for (const url of urls) {
+        const verdict = classifyUrl(url, layers);
+        verdict.high.forEach(name => addMatch(high, name, url));
+        verdict.medium.forEach(name => addMatch(medium, name, url));
+        if (verdict.safe) {
+            safeSpans.push({ start: url.start, end: url.end, domain: verdict.safe });
         }
     }
+    const hasSafeUrl = safeSpans.length > 0;
 
     // If High Risk or Custom match found -> HIGH
-    if (matchedPatterns.length > 0) {
+    if (high.patterns.length > 0) {
         return {
             isSpam: true,
             riskLevel: RISK_LEVELS.HIGH,
-            matchedPatterns,
-            hasSafeUrl
+            matchedPatterns: high.patterns,
+            matchedSpans: high.spans,
+            hasSafeUrl,
+            safeSpans,
+            urls
         };
     }
 
-    // Check medium-risk patterns
-    for (const pattern of MEDIUM_RISK_URL_PATTERNS) {
-        if (pattern.test(text)) {
-            matchedPatterns.push(pattern.toString());
-        }
-    }
-
-    if (matchedPatterns.length > 0) {
+    if (medium.patterns.length > 0) {
         // If we found a Medium pattern (like bit.ly) BUT also a Safe pattern (youtube),
         // we lean towards Low risk, but still flag it because redirects are suspicious.
         return {
             isSpam: true,
             riskLevel: hasSafeUrl ? RISK_LEVELS.LOW : RISK_LEVELS.MEDIUM,
-            matchedPatterns,
-            hasSafeUrl
+            matchedPatterns: medium.patterns,
+            matchedSpans: medium.spans,
+            hasSafeUrl,
+            safeSpans,
+            urls
         };
     }
 
@@ -655,89 +4004,232 @@ function checkUrlPatterns(text) {
         isSpam: false,
         riskLevel: RISK_LEVELS.SAFE,
         matchedPatterns: [],
-        hasSafeUrl
+        matchedSpans: {},
+        hasSafeUrl,
+        safeSpans,
+        urls
     };
 }
 
 /**
  * Calculate spam score based on keyword weights
+ * Keyword matches right after a negation ("not a giveaway") are taken back out of the score
  * @param {string} text - Text to analyze
- * @returns {{score: number, matchedKeywords: Object}}
+ * @param {string[]} [languages] - Language packs to apply (see getActiveLanguagePacks)
+ * @returns {{score: number, matchedKeywords: Object, negations: Object}} Each match carries the text spans it was found at
+ *          negations: per matchedKeywords key, {weight, count, contribution, negators, spans} for the negated occurrences
  */
-function calculateSpamScore(text) {
-    if (!text) return { score: 0, matchedKeywords: {} };
+function calculateSpamScore(text, languages = []) {
+    if (!text) return { score: 0, matchedKeywords: {}, negations: {} };
 
     const lowerText = text.toLowerCase();
     let score = 0;
     const matchedKeywords = {};
+    const negations = {};
 
-    for (const [keyword, weight] of Object.entries(SPAM_KEYWORD_WEIGHTS)) {
-        const regex = new RegExp(`\\b${keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'gi');
-        const matches = lowerText.match(regex);
+    // Spam keywords count for nothing when a negation comes shortly before them
+    const addKeywordMatch = (key, weight, keywordSpans) => {
+        const category = getKeywordCategory(key);
+        score += weight * keywordSpans.length;
+        matchedKeywords[key] = {
+            weight,
+            count: keywordSpans.length,
+            contribution: weight * keywordSpans.length,
+            category,
+            spans: keywordSpans
+        };
+        if (weight <= 0) return;
 
-        if (matches) {
-            score += weight * matches.length;
-            matchedKeywords[keyword] = {
-                weight,
-                count: matches.length,
-                contribution: weight * matches.length
-            };
-        }
+        const negated = keywordSpans
+            .map(span => ({ span, negation: findNegation(lowerText, span.start) }))
+            .filter(entry => entry.negation);
+        if (negated.length === 0) return;
+
+        score -= weight * negated.length;
+        negations[key] = {
+            weight,
+            count: negated.length,
+            contribution: -weight * negated.length,
+            category,
+            negators: [...new Set(negated.map(entry => entry.negation.word))],
+            spans: negated.flatMap(entry => [entry.negation, entry.span])
+                .map(span => ({ start: span.start, end: span.end }))
+        };
+    };
+
+    // Single pass over the text for all built-in and custom keywords
+    const matcher = _getKeywordMatcher();
+    const spans = matcher.entries.map(() => []);
+    for (const match of matcher.search(lowerText)) {
+        spans[match.index].push({ start: match.start, end: match.end });
     }
 
-    // Check regex-based patterns (dynamic numbers, percentages, etc.)
-    for (const [pattern, weight, name] of SPAM_REGEX_PATTERNS) {
-        const matches = text.match(pattern);
-        if (matches) {
+    const keywordSource = (key) => key.startsWith('custom:') ? 'custom'
+        : key.startsWith('pack:') ? 'pack'
+            : key.startsWith('lang:') ? 'language' : 'builtin';
+    // A word shared by two detected languages ("urgente") only counts once
+    const languageKeywords = new Set();
+    const addKeywordMatches = (source) => {
+        matcher.entries.forEach((entry, index) => {
+            const count = spans[index].length;
+            if (count === 0 || keywordSource(entry.key) !== source) return;
+            if (entry.language) {
+                if (!languages.includes(entry.language) || languageKeywords.has(entry.keyword)) return;
+                languageKeywords.add(entry.keyword);
+            }
+            addKeywordMatch(entry.key, entry.weight, spans[index]);
+        });
+    };
+
+    addKeywordMatches('builtin');
+    addKeywordMatches('language');
+
+    const addRegexMatches = (key, pattern, weight, category = null, source = text) => {
+        const matches = [...source.matchAll(pattern)];
+        if (matches.length > 0) {
             score += weight * matches.length;
-            matchedKeywords[`regex:${name}`] = {
+            matchedKeywords[key] = {
                 weight,
                 count: matches.length,
                 contribution: weight * matches.length,
-                matches: matches.slice(0, 3)
+                category,
+                matches: matches.slice(0, 3).map(match => match[0]),
+                spans: matches.map(match => ({ start: match.index, end: match.index + match[0].length }))
             };
         }
+    };
+
+    // Check regex-based patterns (dynamic numbers, percentages, etc.)
+    for (const [pattern, weight, name, category] of SPAM_REGEX_PATTERNS) {
+        addRegexMatches(`regex:${name}`, pattern, weight, category);
+    }
+
+    // Regexes of the detected languages
+    for (const language of languages) {
+        for (const [pattern, weight, name, category] of LANGUAGE_PACKS[language].regexes) {
+            addRegexMatches(`regex:lang:${language}:${name}`, pattern, weight, category);
+        }
     }
 
-    // Check custom keywords (from options page)
-    for (const [keyword, weight] of Object.entries(customKeywords)) {
-        const regex = new RegExp(`\\b${keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'gi');
-        const matches = lowerText.match(regex);
+    // Check rule-pack and custom regex rules (from options page); findBacktrackingRisk can't catch every
+    // slow pattern, so they only see the start of long messages and a rule that runs slow is switched off
+    const ruleText = text.substring(0, REGEX_RULE_MAX_INPUT_LENGTH);
+    for (const rule of _getCustomRegexes()) {
+        if (rule.slow) continue;
+        const started = Date.now();
+        addRegexMatches(rule.key, rule.regex, rule.weight, rule.category, ruleText);
+        if (Date.now() - started > REGEX_RULE_SLOW_MS) {
+            rule.slow = true;
+            console.log(`XSpamSweeper: Switched off regex rule ${rule.key}, it took ${Date.now() - started} ms`);
+        }
+    }
 
-        console.log(`XSpamSweeper: Checking custom keyword "${keyword}" in text "${lowerText.substring(0, 50)}..."`,
-            { regex: regex.toString(), matches });
+    // Check rule-pack and custom keywords (from options page)
+    addKeywordMatches('pack');
+    addKeywordMatches('custom');
 
-        if (matches) {
-            score += weight * matches.length;
-            matchedKeywords[`custom:${keyword}`] = {
-                weight,
-                count: matches.length,
-                contribution: weight * matches.length
-            };
+    // Custom keywords using wildcards, NEAR or stemming
+    if (matcher.patterns.length > 0) {
+        const words = _splitKeywordWords(lowerText);
+        for (const { key, weight, pattern } of matcher.patterns) {
+            const patternSpans = matchKeywordPattern(pattern, words);
+            if (patternSpans.length > 0) addKeywordMatch(key, weight, patternSpans);
         }
     }
 
-    return { score, matchedKeywords };
+    return { score, matchedKeywords, negations };
 }
 
 /**
  * Get overall spam risk level for a message
- * Combines URL patterns and keyword scoring with 0-30 calibration
+ * Combines URL patterns and keyword scoring, calibrated to the user's risk thresholds (0-30 by default)
  * @param {string} text - Message text to analyze
- * @returns {{riskLevel: string, score: number, urlMatch: Object, keywordMatch: Object, isHiddenLink: boolean}}
+ * @param {{username: string, displayName: string}} [sender] - Sender, scored by scoreAccountSignals
+ * @returns {{riskLevel: string, score: number, rawScore: number, urlMatch: Object, keywordMatch: Object, languages: string[], obfuscation: Object, accountMatch: Object, entities: Array, domainMatch: Object, impersonation: Object|null, categoryMatch: Object, classifier: Object|null, isHiddenLink: boolean, explanation: Object}}
+ *          languages: detected language codes, see detectLanguages
+ *          accountMatch: {score, signals} from the sender's handle and display name
+ *          entities: [{type, value, start, end}] phone numbers, messenger IDs and wallets found in text (see extractEntities)
+ *          domainMatch: {score, features, signals} structural red flags of unlisted links (see scoreDomainFeatures)
+ *          impersonation: result of detectImpersonation - forces HIGH risk, null when the sender is not a look-alike
+ *          categoryMatch: {dominant, scores} kind of spam from the categorized signals (see scoreCategories)
+ *          classifier: {probability} from the locally trained model, null when it has no opinion
+ *          explanation: {text, signals} - every signal with its score contribution, its category if it has one, and the spans it matched in text
  */
-function getSpamInfo(text) {
+function getSpamInfo(text, sender) {
     // 1. Detect "Sent a link" placeholder
     // This is a blind spot. We assign it a base SUS score.
     const isHiddenLink = text && /^sent a link$/i.test(text.trim());
 
-    // 2. Analyze URLs
-    const urlMatch = checkUrlPatterns(text);
+    // 2. Undo homoglyphs, invisible characters, spacing and leetspeak
+    const normalized = normalizeText(text);
+
+    // 3. Analyze URLs
+    const urlMatch = checkUrlPatterns(normalized.text);
+
+    // 4. Analyze Keywords, including the packs for the message's languages
+    const languages = detectLanguages(normalized.text);
+    const keywordMatch = calculateSpamScore(normalized.keywordText, getActiveLanguagePacks(languages));
+
+    // 5. Phone numbers, messenger IDs and wallet addresses pasted instead of links
+    const entities = extractEntities(normalized.text)
+        .map(entity => ({ ...entity, ...toSourceSpans(normalized, [entity])[0] }));
+    const entityMatch = scoreEntities(entities);
+
+    // 6. Hiding words is a signal of its own
+    const trickSpans = _excludeEntityTricks(normalized.trickSpans, entities);
+    const obfuscation = scoreObfuscation(Object.keys(trickSpans));
+
+    // 7. Spammy handle or display name
+    const accountMatch = sender
+        ? scoreAccountSignals(sender.username, sender.displayName)
+        : { score: 0, signals: [] };
+
+    // 8. Unlisted links with a suspicious structure (typosquats, punycode, cheap TLDs)
+    const domainMatch = scoreDomainFeatures(urlMatch.urls);
+
+    // Every score adjustment is recorded as a signal so the popup can explain the verdict
+    const signals = [];
+
+    for (const [key, match] of Object.entries(keywordMatch.matchedKeywords)) {
+        signals.push({
+            type: key.startsWith('regex:') ? 'regex'
+                : key.startsWith('custom:') ? 'custom'
+                    : key.startsWith('pack:') ? 'pack' : 'keyword',
+            label: key,
+            score: match.contribution,
+            category: match.category,
+            spans: toSourceSpans(normalized, match.spans)
+        });
+
+        const negation = keywordMatch.negations[key];
+        if (negation) {
+            signals.push({
+                type: 'negation',
+                label: `negated: ${key} (${negation.negators.join(', ')})`,
+                score: negation.contribution,
+                category: negation.category,
+                spans: toSourceSpans(normalized, negation.spans)
+            });
+        }
+    }
+
+    for (const trick of obfuscation.tricks) {
+        signals.push({
+            type: 'obfuscation',
+            label: trick,
+            score: OBFUSCATION_WEIGHTS[trick] || 0,
+            spans: trickSpans[trick]
+        });
+    }
+
+    signals.push(...accountMatch.signals);
+    signals.push(...entityMatch.signals);
 
-    // 3. Analyze Keywords
-    const keywordMatch = calculateSpamScore(text);
+    for (const signal of domainMatch.signals) {
+        signals.push({ ...signal, spans: toSourceSpans(normalized, signal.spans) });
+    }
 
-    let totalScore = keywordMatch.score;
+    let totalScore = keywordMatch.score + obfuscation.score + accountMatch.score + entityMatch.score + domainMatch.score;
 
     // --- SCORING CALIBRATION (0 to 30) ---
 
@@ -746,57 +4238,188 @@ function getSpamInfo(text) {
         // Logic: We don't know what it is, so it's SUS (10) by default.
         // If the background worker resolves it later, this re-runs with the real URL.
         totalScore += 10;
+        signals.push({ type: 'hidden-link', label: 'hidden link', score: 10, spans: [{ start: 0, end: text.length }] });
     }
 
     // High Risk URL (WhatsApp, Telegram, etc.) -> Instant +20
-    if (urlMatch.riskLevel === RISK_LEVELS.HIGH) {
-        totalScore += 20;
-    }
-
     // Medium Risk URL (Shorteners, Discord) -> +10
-    else if (urlMatch.riskLevel === RISK_LEVELS.MEDIUM) {
-        totalScore += 10;
+    const urlScore = urlMatch.riskLevel === RISK_LEVELS.HIGH ? 20
+        : urlMatch.riskLevel === RISK_LEVELS.MEDIUM ? 10 : 0;
+    totalScore += urlScore;
+
+    if (urlMatch.matchedPatterns.length > 0) {
+        signals.push({
+            type: 'url',
+            label: `${urlMatch.riskLevel} risk url: ${urlMatch.matchedPatterns.join(', ')}`,
+            score: urlScore,
+            category: urlMatch.matchedPatterns.map(getUrlPatternCategory).find(Boolean) || null,
+            spans: toSourceSpans(normalized, Object.values(urlMatch.matchedSpans).flat())
+        });
     }
 
     // Safe Domain Bonus (The "Friend" Safety Valve)
     // If it's YouTube/Spotify/GitHub, we subtract points.
     if (urlMatch.hasSafeUrl) {
         totalScore -= 10;
+        signals.push({
+            type: 'safe-url',
+            label: `safe domain: ${urlMatch.safeSpans.map(span => span.domain).join(', ')}`,
+            score: -10,
+            spans: toSourceSpans(normalized, urlMatch.safeSpans)
+        });
     }
 
-    // Clamp score between 0 and 30
-    totalScore = Math.min(Math.max(totalScore, 0), 30);
-
-    // --- RISK LEVEL ASSIGNMENT ---
-    let riskLevel = RISK_LEVELS.SAFE;
+    // Learned from the user's own sweeps and "Not spam" clicks
+    const classification = classifierWeight > 0 && !isHiddenLink ? classifyText(text) : null;
+    if (classification) {
+        const classifierScore = getClassifierScore(classification.probability);
+        if (classifierScore !== 0) {
+            totalScore += classifierScore;
+            const percent = Math.round(classification.probability * 100);
+            const isSpamLeaning = classifierScore > 0;
+            signals.push({
+                type: 'classifier',
+                label: isSpamLeaning ? `learned: ${percent}% spam` : `learned: ${100 - percent}% not spam`,
+                score: classifierScore,
+                spans: classification.tokens
+                    .filter(entry => (entry.logRatio > 0) === isSpamLeaning)
+                    .slice(0, 3)
+                    .flatMap(entry => entry.spans)
+            });
+        }
+    }
 
-    if (totalScore >= 20) {
-        riskLevel = RISK_LEVELS.HIGH;   // Red Badge (Definite Spam)
-    } else if (totalScore >= 10) {
-        riskLevel = RISK_LEVELS.MEDIUM; // Yellow Badge (SUS / Hidden Link)
-    } else if (totalScore >= 3) {
-        riskLevel = RISK_LEVELS.LOW;    // Grey Badge (Has link / Salesy)
+    // Posing as a protected name or a followed account is HIGH risk whatever the message says
+    const impersonation = sender ? detectImpersonation(sender.username, sender.displayName) : null;
+    if (impersonation) {
+        const boost = Math.max(0, riskThresholds.high - totalScore);
+        totalScore += boost;
+        signals.push({ type: 'impersonation', label: `impersonation: ${impersonation.target}`, score: boost, category: 'Phishing', spans: [] });
     }
 
+    // Clamp score between 0 and the configured ceiling (30 by default)
+    // The raw score is kept so the options page can preview other thresholds
+    const rawScore = totalScore;
+    totalScore = clampScore(totalScore);
+
+    // --- RISK LEVEL ASSIGNMENT ---
+    const riskLevel = getRiskLevel(totalScore);
+
     return {
         riskLevel,
         score: totalScore,
+        rawScore,
         urlMatch,
         keywordMatch,
-        isHiddenLink
+        languages,
+        obfuscation,
+        accountMatch,
+        entities,
+        domainMatch,
+        impersonation,
+        categoryMatch: scoreCategories(signals),
+        classifier: classification ? { probability: classification.probability } : null,
+        isHiddenLink,
+        explanation: {
+            text: text || '',
+            signals
+        }
     };
 }
 
+/**
+ * Why a message isn't sent to the AI, if it isn't
+ * @param {Object} info - Result of getSpamInfo
+ * @returns {string|null} 'already_high_risk', 'score_too_low', 'hidden_link_unresolved', or null to ask the AI
+ */
+function _getAISkipReason(info) {
+    // Gate A: Already HIGH risk - no need for AI confirmation
+    if (info.riskLevel === RISK_LEVELS.HIGH) {
+        return 'already_high_risk';
+    }
+
+    // Gate B: Very low score - don't bother AI with "hey" messages
+    if (info.score < riskThresholds.aiMin) {
+        return 'score_too_low';
+    }
+
+    // Gate C: Hidden link that hasn't been resolved yet
+    if (info.isHiddenLink) {
+        return 'hidden_link_unresolved';
+    }
+
+    // SUS zone (aiMin up to the high threshold) - consult AI for verdict
+    return null;
+}
+
+/**
+ * Update spam info with an AI verdict
+ * @param {Object} info - Result of getSpamInfo (mutated)
+ * @param {{isSpam: boolean, confidence: number, category: string, reason: string}} aiVerdict - Verdict from scanWithAI
+ */
+function _applyAIVerdict(info, aiVerdict) {
+    info.aiVerdict = aiVerdict;
+
+    // AI says SPAM with high confidence -> Upgrade to HIGH risk
+    if (aiVerdict.isSpam && aiVerdict.confidence > 0.8) {
+        console.log(`XSpamSweeper: AI upgraded score from ${info.score} to HIGH (${aiVerdict.category}: ${aiVerdict.reason})`);
+        // Land halfway between the high threshold and the ceiling (25 on the default scale)
+        const aiScore = Math.round((riskThresholds.high + riskThresholds.maxScore) / 2);
+        info.explanation.signals.push({
+            type: 'ai',
+            label: aiVerdict.category,
+            score: aiScore - info.score,
+            category: isValidSpamCategory(aiVerdict.category) ? aiVerdict.category : null,
+            spans: []
+        });
+        info.categoryMatch = scoreCategories(info.explanation.signals);
+        info.score = aiScore;
+        info.riskLevel = RISK_LEVELS.HIGH;
+        info.aiReason = `AI: ${aiVerdict.category} - ${aiVerdict.reason}`;
+    }
+    // AI says SAFE with high confidence -> Downgrade to SAFE
+    else if (!aiVerdict.isSpam && aiVerdict.confidence > 0.8) {
+        console.log(`XSpamSweeper: AI downgraded score from ${info.score} to SAFE (${aiVerdict.reason})`);
+        info.explanation.signals.push({ type: 'ai', label: 'cleared', score: -info.score, spans: [] });
+        info.score = 0;
+        info.riskLevel = RISK_LEVELS.SAFE;
+        info.aiReason = `AI cleared: ${aiVerdict.reason}`;
+    }
+    // AI is unsure -> Keep heuristic score
+    else {
+        console.log(`XSpamSweeper: AI uncertain (confidence: ${aiVerdict.confidence}), keeping heuristic score ${info.score}`);
+    }
+}
+
+/**
+ * Update spam info with what the AI answered for it, and cache a new verdict
+ * @param {Object} info - Result of getSpamInfo (mutated)
+ * @param {string} text - Message text
+ * @param {{verdict: Object|null, skipped: string|null, error: string|null}} result - Result of scanWithAI
+ * @returns {Promise<void>}
+ */
+async function _applyAIResult(info, text, { verdict, skipped, error }) {
+    if (!verdict) {
+        info.aiSkipped = skipped;
+        if (error) info.aiError = error;
+        return;
+    }
+
+    _applyAIVerdict(info, verdict);
+    await cacheAIVerdict(text, verdict);
+}
+
 /**
  * Get spam info with optional AI enhancement
  * Async version that consults AI for "SUS zone" messages
  * @param {string} text - Message text to analyze
+ * @param {{username: string, displayName: string}} [sender] - Sender, see getSpamInfo
  * @returns {Promise<Object>} Enhanced spam info with optional AI verdict
  */
 // eslint-disable-next-line no-unused-vars
-async function getSpamInfoWithAI(text) {
+async function getSpamInfoWithAI(text, sender) {
     // 1. Fast path: Get heuristic score first
-    const info = getSpamInfo(text);
+    const info = getSpamInfo(text, sender);
 
     // 2. Check if AI scanning is available
     const scanWithAIFn = typeof scanWithAI === 'function' ? scanWithAI : null;
@@ -805,63 +4428,90 @@ async function getSpamInfoWithAI(text) {
     }
 
     // 3. Decision gates - when to skip AI
-
-    // Gate A: Already HIGH risk - no need for AI confirmation
-    if (info.riskLevel === RISK_LEVELS.HIGH) {
-        info.aiSkipped = 'already_high_risk';
-        return info;
-    }
-
-    // Gate B: Very low score - don't bother AI with "hey" messages
-    if (info.score < 5) {
-        info.aiSkipped = 'score_too_low';
-        return info;
-    }
-
-    // Gate C: Hidden link that hasn't been resolved yet
-    if (info.isHiddenLink) {
-        info.aiSkipped = 'hidden_link_unresolved';
+    const skipReason = _getAISkipReason(info);
+    if (skipReason) {
+        info.aiSkipped = skipReason;
         return info;
     }
 
-    // 4. SUS zone (score 5-19) - consult AI for verdict
+    // 4. SUS zone - consult AI for verdict
     info.aiChecked = true;
 
     try {
-        const aiVerdict = await scanWithAIFn(text);
-
-        if (!aiVerdict) {
-            info.aiSkipped = 'ai_unavailable';
-            return info;
+        // Messages the model has already judged are answered from the verdict cache (ai-service.js)
+        const cachedVerdict = await getCachedAIVerdict(text);
+        if (cachedVerdict) {
+            _applyAIVerdict(info, cachedVerdict);
+            info.aiCached = true;
+        } else {
+            await _applyAIResult(info, text, await scanWithAIFn(text));
         }
+    } catch (error) {
+        console.warn('XSpamSweeper: AI check failed', error);
+        info.aiSkipped = 'ai_error';
+    }
 
-        info.aiVerdict = aiVerdict;
+    return info;
+}
 
-        // AI says SPAM with high confidence -> Upgrade to HIGH risk
-        if (aiVerdict.isSpam && aiVerdict.confidence > 0.8) {
-            console.log(`XSpamSweeper: AI upgraded score from ${info.score} to HIGH (${aiVerdict.category}: ${aiVerdict.reason})`);
-            info.score = 25;
-            info.riskLevel = RISK_LEVELS.HIGH;
-            info.aiReason = `AI: ${aiVerdict.category} - ${aiVerdict.reason}`;
-        }
-        // AI says SAFE with high confidence -> Downgrade to SAFE
-        else if (!aiVerdict.isSpam && aiVerdict.confidence > 0.8) {
-            console.log(`XSpamSweeper: AI downgraded score from ${info.score} to SAFE (${aiVerdict.reason})`);
-            info.score = 0;
-            info.riskLevel = RISK_LEVELS.SAFE;
-            info.aiReason = `AI cleared: ${aiVerdict.reason}`;
+/**
+ * Get spam info with optional AI enhancement for several messages
+ * Like getSpamInfoWithAI, but the messages the AI has to see are sent to it in batches (scanBatchWithAI)
+ * @param {Array<{id: string, text: string, sender: {username: string, displayName: string}}>} items - Messages with unique ids
+ * @param {function(Array<{id: string, spamInfo: Object}>): void} [onResults] - Called as results come in:
+ *        first for the messages that need no prompt, then once per batch
+ * @returns {Promise<Array<{id: string, spamInfo: Object}>>} One result per message, in the order given
+ */
+// eslint-disable-next-line no-unused-vars
+async function getSpamInfoWithAIBatch(items, onResults) {
+    const infos = new Map(items.map(item => [item.id, getSpamInfo(item.text, item.sender)]));
+    const texts = new Map(items.map(item => [item.id, item.text]));
+    const toResults = ids => ids.map(id => ({ id, spamInfo: infos.get(id) }));
+
+    if (typeof scanBatchWithAI !== 'function') {
+        return toResults(items.map(item => item.id));
+    }
+
+    const done = [];
+    const toScan = [];
+    for (const item of items) {
+        const info = infos.get(item.id);
+        const skipReason = _getAISkipReason(info);
+        if (skipReason) {
+            info.aiSkipped = skipReason;
+            done.push(item.id);
+            continue;
         }
-        // AI is unsure -> Keep heuristic score
-        else {
-            console.log(`XSpamSweeper: AI uncertain (confidence: ${aiVerdict.confidence}), keeping heuristic score ${info.score}`);
+
+        info.aiChecked = true;
+        const cachedVerdict = await getCachedAIVerdict(item.text);
+        if (cachedVerdict) {
+            _applyAIVerdict(info, cachedVerdict);
+            info.aiCached = true;
+            done.push(item.id);
+        } else {
+            toScan.push({ id: item.id, text: item.text });
         }
+    }
+    if (done.length > 0 && onResults) onResults(toResults(done));
 
+    try {
+        await scanBatchWithAI(toScan, async batchResults => {
+            for (const result of batchResults) {
+                await _applyAIResult(infos.get(result.id), texts.get(result.id), result);
+            }
+            if (onResults) onResults(toResults(batchResults.map(result => result.id)));
+        });
     } catch (error) {
-        console.warn('XSpamSweeper: AI check failed', error);
-        info.aiSkipped = 'ai_error';
+        console.warn('XSpamSweeper: AI batch check failed', error);
+        const failed = toScan.filter(item => !infos.get(item.id).aiVerdict && !infos.get(item.id).aiSkipped);
+        failed.forEach(item => {
+            infos.get(item.id).aiSkipped = 'ai_error';
+        });
+        if (failed.length > 0 && onResults) onResults(toResults(failed.map(item => item.id)));
     }
 
-    return info;
+    return toResults(items.map(item => item.id));
 }
 
 /**